@@ -2,12 +2,38 @@ require("dotenv").config();
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 const express = require("express");
 const cors = require("cors");
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const EventEmitter = require("events");
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const multer = require("multer");
+const sharp = require("sharp");
+const nodemailer = require("nodemailer");
+const AdmZip = require("adm-zip");
+const matter = require("gray-matter");
+const { XMLParser } = require("fast-xml-parser");
+const undici = require("undici");
 
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Vercel sits one proxy hop in front of us, so trust its X-Forwarded-For
+app.set("trust proxy", 1);
+
 app.use(cors());
-app.use(express.json());
+
+// POST /import parses its own JSON body with a larger size limit
+const parseJsonBody = express.json();
+app.use((req, res, next) =>
+  req.path === "/import" ? next() : parseJsonBody(req, res, next)
+);
 
 // Get MongoDB URI from environment variables
 const uri = process.env.MONGODB_URI;
@@ -17,6 +43,16 @@ if (!uri) {
   process.exit(1);
 }
 
+// Secret used to sign login tokens
+const jwtSecret = process.env.JWT_SECRET;
+const jwtExpiresIn = process.env.JWT_EXPIRES_IN || "7d";
+const commenterTokenExpiresIn = process.env.COMMENTER_TOKEN_EXPIRES_IN || "365d";
+
+if (!jwtSecret) {
+  console.error("❌ JWT_SECRET is not defined in environment variables");
+  process.exit(1);
+}
+
 // Cache MongoDB connection globally
 let cachedClient = null;
 let cachedDb = null;
@@ -47,50 +83,9625 @@ async function connectToDatabase() {
     cachedClient = client;
     cachedDb = database;
 
+    await ensureIndexes(database);
+    await ensureValidators(database);
+
     console.log("✅ Connected to MongoDB successfully!");
     return { client, database };
   } catch (error) {
     console.error("❌ MongoDB connection failed:", error.message);
     throw error;
   }
-}
+}
+
+// Indexes our queries rely on, created on first connection
+const INDEXES = [
+  { collection: "users", keys: { email: 1 }, options: { unique: true } },
+  { collection: "clients_info", keys: { slug: 1 }, options: { unique: true } },
+  { collection: "clients_info", keys: { createdAt: -1 } },
+  { collection: "clients_info", keys: { updatedAt: -1, createdAt: -1 } },
+  { collection: "clients_info", keys: { views: -1 } },
+  { collection: "clients_info", keys: { likes: -1 } },
+  { collection: "clients_info", keys: { category: 1, createdAt: -1 } },
+  { collection: "clients_info", keys: { tags: 1 } },
+  { collection: "clients_info", keys: { categorySlug: 1, createdAt: -1 } },
+  { collection: "clients_info", keys: { tagSlugs: 1 } },
+  { collection: "clients_info", keys: { authorId: 1, createdAt: -1 } },
+  { collection: "authors", keys: { slug: 1 }, options: { unique: true } },
+  { collection: "authors", keys: { aliases: 1 } },
+  { collection: "authors", keys: { userId: 1 } },
+  { collection: "categories", keys: { slug: 1 }, options: { unique: true } },
+  { collection: "categories", keys: { aliases: 1 } },
+  { collection: "categories", keys: { parentId: 1 } },
+  { collection: "tags", keys: { slug: 1 }, options: { unique: true } },
+  { collection: "tags", keys: { aliases: 1 } },
+  { collection: "clients_info", keys: { author: 1 } },
+  { collection: "clients_info", keys: { status: 1, publishAt: 1 } },
+  { collection: "clients_info", keys: { isDeleted: 1, deletedAt: -1 } },
+  {
+    collection: "blog_revisions",
+    keys: { blogId: 1, revision: -1 },
+    options: { unique: true },
+  },
+  {
+    collection: "clients_info",
+    keys: { title: "text", excerpt: "text", content: "text", tags: "text" },
+    options: {
+      name: "blog_text_search",
+      weights: { title: 10, tags: 5, excerpt: 3, content: 1 },
+    },
+  },
+  {
+    collection: "comments",
+    keys: { content: "text" },
+    options: { name: "comment_text_search" },
+  },
+  { collection: "comments", keys: { blogSlug: 1, parentId: 1, createdAt: -1 } },
+  { collection: "comments", keys: { rootId: 1, createdAt: 1 } },
+  { collection: "comments", keys: { ancestors: 1, createdAt: 1 } },
+  { collection: "comments", keys: { status: 1, createdAt: -1 } },
+  { collection: "comments", keys: { "author.email": 1, status: 1 } },
+  { collection: "comments", keys: { contentHash: 1, createdAt: -1 } },
+  { collection: "slug_history", keys: { oldSlug: 1 }, options: { unique: true } },
+  {
+    collection: "reactions",
+    keys: { targetType: 1, targetId: 1, userId: 1 },
+    options: { unique: true },
+  },
+  { collection: "media", keys: { createdAt: -1 } },
+  { collection: "media", keys: { tags: 1 } },
+  { collection: "media", keys: { uploadedBy: 1, createdAt: -1 } },
+  { collection: "analytics_events", keys: { createdAt: -1 } },
+  { collection: "analytics_events", keys: { blogId: 1, createdAt: -1 } },
+  {
+    collection: "analytics_view_locks",
+    keys: { expiresAt: 1 },
+    options: { expireAfterSeconds: 0 },
+  },
+  { collection: "analytics_hourly", keys: { blogId: 1, bucket: 1 } },
+  { collection: "analytics_hourly", keys: { bucket: 1 } },
+  { collection: "analytics_daily", keys: { blogId: 1, bucket: 1 } },
+  { collection: "analytics_daily", keys: { bucket: 1 } },
+  { collection: "slug_history", keys: { blogId: 1 } },
+  {
+    collection: "subscriptions",
+    keys: { email: 1, list: 1 },
+    options: { unique: true },
+  },
+  { collection: "subscriptions", keys: { list: 1, status: 1 } },
+  { collection: "digests", keys: { sentAt: -1 } },
+  { collection: "webhooks", keys: { events: 1, active: 1 } },
+  { collection: "clients_info", keys: { importKey: 1 }, options: { sparse: true } },
+  { collection: "comments", keys: { importKey: 1 }, options: { sparse: true } },
+  { collection: "webhook_deliveries", keys: { status: 1, nextAttemptAt: 1 } },
+  { collection: "webhook_deliveries", keys: { webhookId: 1, createdAt: -1 } },
+  {
+    collection: "rate_limits",
+    keys: { expiresAt: 1 },
+    options: { expireAfterSeconds: 0 },
+  },
+];
+
+async function ensureIndexes(database) {
+  await Promise.all(
+    INDEXES.map(async ({ collection, keys, options = {} }) => {
+      try {
+        await database.collection(collection).createIndex(keys, options);
+      } catch (error) {
+        console.warn(
+          `⚠️ Failed to create index on ${collection}:`,
+          error.message
+        );
+      }
+    })
+  );
+}
+
+// ======================
+// AUTHENTICATION
+// ======================
+
+// Roles allowed to manage blog posts
+const ROLES = ["admin", "editor", "author"];
+
+const userSchemas = {
+  setup: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "string", required: true, format: "email", maxLength: 254 },
+    password: { type: "string", required: true, trim: false, maxLength: 200 },
+  },
+  login: {
+    email: { type: "string", required: true, maxLength: 254 },
+    password: { type: "string", required: true, trim: false, maxLength: 200 },
+  },
+  create: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "string", required: true, format: "email", maxLength: 254 },
+    password: { type: "string", required: true, trim: false, maxLength: 200 },
+    role: { type: "string", enum: ROLES },
+  },
+  update: {
+    name: { type: "string", maxLength: 100 },
+    role: { type: "string", enum: ROLES },
+    password: { type: "string", trim: false, maxLength: 200 },
+    isActive: { type: "boolean" },
+  },
+};
+
+// Remove secrets before sending a user to the client
+function sanitizeUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...safeUser } = user;
+  return { ...safeUser, _id: user._id.toString() };
+}
+
+function signAuthToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role, name: user.name },
+    jwtSecret,
+    { expiresIn: jwtExpiresIn }
+  );
+}
+
+// Load the user behind a bearer token, or null if there is none
+async function getUserFromRequest(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return null;
+  }
+
+  const payload = jwt.verify(token, jwtSecret);
+
+  // Commenter and email link tokens are signed with the same secret but
+  // aren't logins
+  if (payload.typ) {
+    return null;
+  }
+
+  const { database } = await connectToDatabase();
+  const user = await database
+    .collection("users")
+    .findOne({ _id: new ObjectId(payload.sub), isActive: { $ne: false } });
+
+  return user;
+}
+
+// Require a valid token and attach the user to req.user
+async function authenticate(req, res, next) {
+  try {
+    const user = await getUserFromRequest(req);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired token",
+      });
+    }
+
+    console.error("Error authenticating request:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+// Attach req.user when a valid token is sent, but never block the request
+async function optionalAuth(req, res, next) {
+  try {
+    req.user = (await getUserFromRequest(req)) || null;
+  } catch (error) {
+    req.user = null;
+  }
+  next();
+}
+
+// Only allow users whose role is in the list
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+      });
+    }
+    next();
+  };
+}
+
+// Anonymous commenters get a signed token when they first comment. It's
+// the only proof of who wrote a comment, so edits and deletes require it.
+function signCommenterToken(commenterId) {
+  return jwt.sign({ sub: commenterId, typ: "commenter" }, jwtSecret, {
+    expiresIn: commenterTokenExpiresIn,
+  });
+}
+
+// Commenter id from the x-commenter-token header or body, or null
+function getCommenterId(req) {
+  const token =
+    req.headers["x-commenter-token"] || (req.body && req.body.commenterToken);
+
+  if (!token) return null;
+
+  try {
+    const payload = jwt.verify(token, jwtSecret);
+    return payload.typ === "commenter" ? payload.sub : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Editors and admins can edit any post, authors only their own
+function canEditBlog(user, blog) {
+  if (user.role === "admin" || user.role === "editor") {
+    return true;
+  }
+  return user.role === "author" && blog.createdBy === user._id.toString();
+}
+
+// ======================
+// RATE LIMITING
+// ======================
+
+// Token buckets: each key holds up to `capacity` requests and refills at
+// capacity/windowSeconds per second, so short bursts are fine but a steady
+// stream is capped. A route can be limited per IP, per identity, or both;
+// every bucket has to have a token left.
+//
+// Override a limit with RATE_LIMIT_<NAME>=<capacity>/<windowSeconds>, e.g.
+// RATE_LIMIT_COMMENT=10/60.
+const RATE_LIMITS = {
+  login: { capacity: 10, windowSeconds: 15 * 60, by: ["ip"] },
+  comment: { capacity: 5, windowSeconds: 60, by: ["ip", "identity"] },
+  commentEdit: { capacity: 20, windowSeconds: 60, by: ["ip", "identity"] },
+  reaction: { capacity: 30, windowSeconds: 60, by: ["ip", "identity"] },
+  stats: { capacity: 60, windowSeconds: 60, by: ["ip"] },
+  subscribe: { capacity: 5, windowSeconds: 60 * 60, by: ["ip"] },
+};
+
+Object.entries(RATE_LIMITS).forEach(([name, limit]) => {
+  const envName = `RATE_LIMIT_${name.replace(/[A-Z]/g, "_$&").toUpperCase()}`;
+  const [capacity, windowSeconds] = (process.env[envName] || "")
+    .split("/")
+    .map((value) => parseInt(value, 10));
+
+  if (capacity > 0) limit.capacity = capacity;
+  if (windowSeconds > 0) limit.windowSeconds = windowSeconds;
+});
+
+const RATE_LIMIT_CONFIG = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+  // "memory" is per instance; "mongo" is shared by every Vercel instance
+  store: process.env.RATE_LIMIT_STORE || "memory",
+  // IPs and IPv4 CIDR ranges that are never limited (our offices)
+  allowlist: parseListParam(process.env.RATE_LIMIT_ALLOWLIST),
+};
+
+// Most buckets the in-memory store keeps; the least recently used go first
+const MEMORY_STORE_MAX_KEYS = 10000;
+
+// Tokens in a bucket after refilling it from `updatedAt` to `now`
+function refillTokens(bucket, limit, now) {
+  if (!bucket) return limit.capacity;
+  const elapsed = Math.max(now - bucket.updatedAt, 0) / 1000;
+  const rate = limit.capacity / limit.windowSeconds;
+  return Math.min(limit.capacity, bucket.tokens + elapsed * rate);
+}
+
+// Remaining tokens and how long until the next one (or a full bucket)
+function bucketState(tokens, allowed, limit) {
+  const rate = limit.capacity / limit.windowSeconds;
+  return {
+    allowed,
+    limit: limit.capacity,
+    remaining: Math.floor(tokens),
+    retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rate),
+    reset: Math.ceil((limit.capacity - tokens) / rate),
+  };
+}
+
+// Each store has take(key, limit) -> { allowed, limit, remaining, retryAfter, reset }
+const RATE_LIMIT_STORES = {
+  memory: {
+    buckets: new Map(),
+    async take(key, limit) {
+      const now = Date.now();
+      let tokens = refillTokens(this.buckets.get(key), limit, now);
+      const allowed = tokens >= 1;
+      if (allowed) tokens -= 1;
+
+      // Re-inserting keeps the Map in least recently used order
+      this.buckets.delete(key);
+      this.buckets.set(key, { tokens, updatedAt: now });
+      for (const oldest of this.buckets.keys()) {
+        if (this.buckets.size <= MEMORY_STORE_MAX_KEYS) break;
+        this.buckets.delete(oldest);
+      }
+
+      return bucketState(tokens, allowed, limit);
+    },
+  },
+  mongo: {
+    // One atomic pipeline update: refill, check and take a token
+    async take(key, limit) {
+      const { database } = await connectToDatabase();
+      const now = new Date();
+      const rate = limit.capacity / limit.windowSeconds;
+
+      const bucket = await database.collection("rate_limits").findOneAndUpdate(
+        { _id: key },
+        [
+          {
+            $set: {
+              tokens: {
+                $min: [
+                  limit.capacity,
+                  {
+                    $add: [
+                      { $ifNull: ["$tokens", limit.capacity] },
+                      {
+                        $multiply: [
+                          {
+                            $divide: [
+                              { $subtract: [now, { $ifNull: ["$updatedAt", now] }] },
+                              1000,
+                            ],
+                          },
+                          rate,
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+          { $set: { allowed: { $gte: ["$tokens", 1] } } },
+          {
+            $set: {
+              tokens: {
+                $cond: ["$allowed", { $subtract: ["$tokens", 1] }, "$tokens"],
+              },
+              updatedAt: now,
+              expiresAt: new Date(now.getTime() + limit.windowSeconds * 1000),
+            },
+          },
+        ],
+        { upsert: true, returnDocument: "after" }
+      );
+
+      return bucketState(bucket.tokens, bucket.allowed, limit);
+    },
+  },
+};
+
+function getRateLimitStore() {
+  return (
+    RATE_LIMIT_STORES[RATE_LIMIT_CONFIG.store] || RATE_LIMIT_STORES.memory
+  );
+}
+
+// IPv4 address as a 32-bit number, or null
+function ipv4ToNumber(ip) {
+  const parts = ip.replace(/^::ffff:/, "").split(".");
+  if (parts.length !== 4) return null;
+
+  const octets = parts.map((part) => parseInt(part, 10));
+  if (octets.some((octet) => !(octet >= 0 && octet <= 255))) return null;
+
+  return octets.reduce((total, octet) => total * 256 + octet, 0);
+}
+
+function isAllowlisted(ip) {
+  if (!ip) return false;
+
+  return RATE_LIMIT_CONFIG.allowlist.some((entry) => {
+    const [range, bits] = entry.split("/");
+    if (bits === undefined) {
+      return ip === range || ip === `::ffff:${range}`;
+    }
+
+    const address = ipv4ToNumber(ip);
+    const network = ipv4ToNumber(range);
+    const size = 2 ** (32 - parseInt(bits, 10));
+    if (address === null || network === null || !(size >= 1)) return false;
+
+    return Math.floor(address / size) === Math.floor(network / size);
+  });
+}
+
+// Who is making the request: a logged-in user or a commenter token. Both are
+// signed; a client-supplied identifier isn't, and could be made up afresh
+// for every request, so those callers only get the IP bucket.
+function rateLimitIdentity(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme === "Bearer" && token) {
+    try {
+      const payload = jwt.verify(token, jwtSecret);
+      return `${payload.typ === "commenter" ? "commenter" : "user"}:${payload.sub}`;
+    } catch (error) {
+      // Fall through to the other identities
+    }
+  }
+
+  const commenterId = getCommenterId(req);
+  return commenterId ? `commenter:${commenterId}` : null;
+}
+
+// Middleware limiting a route by the named entry in RATE_LIMITS. Sends
+// RateLimit-* headers for the tightest bucket and a 429 once it's empty.
+function rateLimit(name) {
+  const limit = RATE_LIMITS[name];
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_CONFIG.enabled || isAllowlisted(req.ip)) {
+      return next();
+    }
+
+    const keys = limit.by
+      .map((scope) => {
+        const value = scope === "ip" ? req.ip : rateLimitIdentity(req);
+        return value ? `${name}:${scope}:${value}` : null;
+      })
+      .filter(Boolean);
+
+    let results;
+    try {
+      results = await Promise.all(
+        keys.map((key) => getRateLimitStore().take(key, limit))
+      );
+    } catch (error) {
+      // A broken store shouldn't take the site down with it
+      console.error("Error checking rate limit:", error);
+      return next();
+    }
+
+    if (results.length === 0) {
+      return next();
+    }
+
+    const blocked = results.filter((result) => !result.allowed);
+    const tightest = blocked.length
+      ? blocked.reduce((a, b) => (a.retryAfter >= b.retryAfter ? a : b))
+      : results.reduce((a, b) => (a.remaining <= b.remaining ? a : b));
+
+    res.set({
+      "RateLimit-Policy": `${limit.capacity};w=${limit.windowSeconds}`,
+      "RateLimit-Limit": String(tightest.limit),
+      "RateLimit-Remaining": String(tightest.remaining),
+      "RateLimit-Reset": String(tightest.reset),
+    });
+
+    if (blocked.length) {
+      res.set("Retry-After", String(tightest.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many requests, please try again later",
+        retryAfter: tightest.retryAfter,
+      });
+    }
+
+    next();
+  };
+}
+
+// ======================
+// VALIDATION
+// ======================
+
+// Publishing workflow for blog posts
+const BLOG_STATUSES = ["draft", "in_review", "scheduled", "published", "archived"];
+
+// How a post's content is written - rendered to sanitized HTML on save
+const CONTENT_FORMATS = ["markdown", "html"];
+
+// Which status a post may move to from its current one
+const STATUS_TRANSITIONS = {
+  draft: ["in_review", "scheduled", "published", "archived"],
+  in_review: ["draft", "scheduled", "published", "archived"],
+  scheduled: ["draft", "in_review", "published", "archived"],
+  published: ["draft", "archived"],
+  archived: ["draft"],
+};
+
+// Authors can prepare posts, but only editors and admins can publish them
+const AUTHOR_STATUSES = ["draft", "in_review"];
+
+// Lowercase words separated by single hyphens
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Field rules: type, required, nullable, maxLength, pattern, format, enum,
+// items, maxItems, allowEmpty (empty string is fine), trim: false (keep the
+// string as sent), storedAs (path in the stored document), requiredInDb
+// (optional in requests but always stored) and persist: false (request-only
+// field, left out of the collection validator)
+const blogSchemas = {
+  create: {
+    title: { type: "string", required: true, maxLength: 200 },
+    // Optional on create - generated from the title when missing
+    slug: {
+      type: "string",
+      requiredInDb: true,
+      maxLength: 120,
+      pattern: SLUG_PATTERN,
+      patternMessage: "must be lowercase letters, numbers and single hyphens",
+    },
+    // Optional - generated from the content when missing
+    excerpt: { type: "string", requiredInDb: true, maxLength: 500 },
+    coverImage: { type: "string", required: true, format: "url", maxLength: 2048 },
+    date: { type: "string", required: true, maxLength: 50 },
+    content: { type: "string", maxLength: 200000, allowEmpty: true },
+    contentFormat: { type: "string", enum: CONTENT_FORMATS },
+    // Either an author profile id or a name; names get a profile on first use
+    authorId: { type: "objectId" },
+    author: { type: "string", maxLength: 100 },
+    authorImage: { type: "string", format: "url", allowEmpty: true, maxLength: 2048 },
+    tags: {
+      type: "array",
+      maxItems: 20,
+      items: { type: "string", maxLength: 50 },
+    },
+    category: { type: "string", maxLength: 100, allowEmpty: true },
+    // SEO overrides - title, excerpt and the post URL are used when unset
+    metaTitle: { type: "string", maxLength: 70, nullable: true },
+    metaDescription: { type: "string", maxLength: 200, nullable: true },
+    canonicalUrl: {
+      type: "string",
+      format: "url",
+      maxLength: 2048,
+      nullable: true,
+    },
+    noindex: { type: "boolean" },
+    status: { type: "string", enum: BLOG_STATUSES },
+    publishAt: { type: "date", nullable: true },
+  },
+};
+
+// Updates accept the same fields, none of them required. Status changes go
+// through POST /blogs/:slug/status so transitions can be checked.
+blogSchemas.update = partialSchema(
+  omitFields(blogSchemas.create, ["status", "publishAt"])
+);
+
+blogSchemas.status = {
+  status: { type: "string", required: true, enum: BLOG_STATUSES },
+  publishAt: { type: "date", nullable: true },
+};
+
+const commentSchemas = {
+  create: {
+    content: { type: "string", required: true, maxLength: 5000 },
+    parentId: { type: "objectId", nullable: true },
+    authorName: {
+      type: "string",
+      required: true,
+      maxLength: 100,
+      storedAs: "author.name",
+    },
+    authorEmail: {
+      type: "string",
+      required: true,
+      format: "email",
+      maxLength: 254,
+      storedAs: "author.email",
+    },
+    authorAvatar: {
+      type: "string",
+      format: "url",
+      allowEmpty: true,
+      maxLength: 2048,
+      storedAs: "author.avatar",
+    },
+  },
+  update: {
+    content: { type: "string", required: true, maxLength: 5000 },
+    commenterToken: { type: "string", maxLength: 1000, persist: false },
+  },
+};
+
+const moderationSchemas = {
+  bulk: {
+    ids: {
+      type: "array",
+      required: true,
+      maxItems: 100,
+      items: { type: "objectId" },
+    },
+    action: {
+      type: "string",
+      required: true,
+      enum: ["approve", "reject", "spam"],
+    },
+  },
+};
+
+function omitFields(schema, fields) {
+  return Object.fromEntries(
+    Object.entries(schema).filter(([field]) => !fields.includes(field))
+  );
+}
+
+function partialSchema(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([field, rule]) => [
+      field,
+      { ...rule, required: false, requiredInDb: false },
+    ])
+  );
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+}
+
+// Check one value against its rule, returning [cleanValue, errorMessage]
+function validateField(rule, value) {
+  if (value === null && rule.nullable) {
+    return [null, null];
+  }
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value !== "string") return [value, "must be a string"];
+      const trimmed = value.trim();
+
+      if (trimmed === "") {
+        return rule.allowEmpty ? [trimmed, null] : [trimmed, "must not be empty"];
+      }
+      if (rule.maxLength && trimmed.length > rule.maxLength) {
+        return [trimmed, `must be at most ${rule.maxLength} characters`];
+      }
+      if (rule.pattern && !rule.pattern.test(trimmed)) {
+        return [trimmed, rule.patternMessage || "has an invalid format"];
+      }
+      if (rule.format === "url" && !isValidUrl(trimmed)) {
+        return [trimmed, "must be a valid http(s) URL"];
+      }
+      if (rule.format === "email" && !EMAIL_PATTERN.test(trimmed)) {
+        return [trimmed, "must be a valid email address"];
+      }
+      if (rule.enum && !rule.enum.includes(trimmed)) {
+        return [trimmed, `must be one of: ${rule.enum.join(", ")}`];
+      }
+      return [rule.trim === false ? value : trimmed, null];
+    }
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return [value, "must be a number"];
+      }
+      return [value, null];
+
+    case "boolean":
+      if (typeof value !== "boolean") return [value, "must be a boolean"];
+      return [value, null];
+
+    case "date": {
+      const date =
+        typeof value === "string" || typeof value === "number"
+          ? new Date(value)
+          : value;
+      if (!(date instanceof Date) || isNaN(date.getTime())) {
+        return [value, "must be a valid date"];
+      }
+      return [date, null];
+    }
+
+    case "objectId":
+      if (typeof value !== "string" || !ObjectId.isValid(value)) {
+        return [value, "must be a valid id"];
+      }
+      return [value, null];
+
+    case "array": {
+      if (!Array.isArray(value)) return [value, "must be an array"];
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return [value, `must have at most ${rule.maxItems} items`];
+      }
+
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const [item, error] = validateField(rule.items, value[i]);
+        if (error) return [value, `item ${i} ${error}`];
+        items.push(item);
+      }
+      return [items, null];
+    }
+
+    default:
+      return [value, `has an unknown type '${rule.type}'`];
+  }
+}
+
+// Validate a payload against a schema. Unknown fields are dropped, and every
+// failing field is reported so clients can fix them all in one go.
+function validatePayload(schema, body) {
+  const input = body && typeof body === "object" ? body : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (raw === undefined || (raw === null && !rule.nullable)) {
+      if (rule.required) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      continue;
+    }
+
+    const [clean, error] = validateField(rule, raw);
+
+    if (error) {
+      errors.push({ field, message: `${field} ${error}` });
+    } else {
+      value[field] = clean;
+    }
+  }
+
+  return { value, errors };
+}
+
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors,
+  });
+}
+
+// Middleware: replace req.body with the validated, whitelisted payload
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validatePayload(schema, req.body);
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+// Convert a field rule into a MongoDB $jsonSchema property
+function toMongoProperty(rule) {
+  const property = {};
+
+  switch (rule.type) {
+    case "string":
+      property.bsonType = "string";
+      if (rule.maxLength) property.maxLength = rule.maxLength;
+      if (rule.enum) property.enum = rule.allowEmpty ? [...rule.enum, ""] : rule.enum;
+      if (rule.pattern) {
+        property.pattern = rule.allowEmpty
+          ? `^$|${rule.pattern.source}`
+          : rule.pattern.source;
+      } else if (rule.format === "url") {
+        property.pattern = rule.allowEmpty ? "^$|^https?://" : "^https?://";
+      } else if (rule.format === "email") {
+        property.pattern = EMAIL_PATTERN.source;
+      }
+      break;
+    case "number":
+      property.bsonType = ["int", "long", "double", "decimal"];
+      break;
+    case "boolean":
+      property.bsonType = "bool";
+      break;
+    case "date":
+      property.bsonType = "date";
+      break;
+    case "objectId":
+      property.bsonType = "string";
+      break;
+    case "array":
+      property.bsonType = "array";
+      if (rule.maxItems) property.maxItems = rule.maxItems;
+      if (rule.items) property.items = toMongoProperty(rule.items);
+      break;
+    default:
+      break;
+  }
+
+  if (rule.nullable && property.bsonType) {
+    property.bsonType = [].concat(property.bsonType, "null");
+  }
+
+  return property;
+}
+
+// Build a $jsonSchema validator for the stored shape of a payload schema
+function toMongoSchema(schema) {
+  const root = { bsonType: "object", required: [], properties: {} };
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (rule.persist === false) continue;
+
+    const path = (rule.storedAs || field).split(".");
+    let node = root;
+
+    // Walk down to the parent object of nested fields like author.name
+    for (const key of path.slice(0, -1)) {
+      if (!node.properties[key]) {
+        node.properties[key] = { bsonType: "object", required: [], properties: {} };
+      }
+      if (rule.required && !node.required.includes(key)) {
+        node.required.push(key);
+      }
+      node = node.properties[key];
+    }
+
+    const key = path[path.length - 1];
+    node.properties[key] = toMongoProperty(rule);
+    if (rule.required || rule.requiredInDb) node.required.push(key);
+  }
+
+  // MongoDB rejects an empty required list
+  const pruneRequired = (node) => {
+    if (node.required && node.required.length === 0) delete node.required;
+    Object.values(node.properties || {}).forEach(pruneRequired);
+  };
+  pruneRequired(root);
+
+  return root;
+}
+
+// Collection validators, installed on first connection. "moderate" leaves
+// existing documents that predate the rules editable.
+const COLLECTION_VALIDATORS = [
+  { collection: "clients_info", schema: blogSchemas.create },
+  { collection: "comments", schema: commentSchemas.create },
+];
+
+async function ensureValidators(database) {
+  await Promise.all(
+    COLLECTION_VALIDATORS.map(async ({ collection, schema }) => {
+      try {
+        await database.command({
+          collMod: collection,
+          validator: { $jsonSchema: toMongoSchema(schema) },
+          validationLevel: "moderate",
+          validationAction: "error",
+        });
+      } catch (error) {
+        console.warn(
+          `⚠️ Failed to install validator on ${collection}:`,
+          error.message
+        );
+      }
+    })
+  );
+}
+
+// ======================
+// BLOG LISTING HELPERS
+// ======================
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+// Sort options for blog listings
+const BLOG_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  most_viewed: { views: -1, createdAt: -1, _id: -1 },
+  most_liked: { likes: -1, createdAt: -1, _id: -1 },
+};
+
+// Fields that can be requested with ?fields=
+const BLOG_LIST_FIELDS = [
+  "title",
+  "slug",
+  "excerpt",
+  "coverImage",
+  "date",
+  "content",
+  "author",
+  "authorImage",
+  "tags",
+  "category",
+  "contentFormat",
+  "readingTime",
+  "wordCount",
+  "likes",
+  "views",
+  "createdAt",
+  "updatedAt",
+];
+
+// List views skip the heavy fields unless they are asked for
+const DEFAULT_LIST_PROJECTION = {
+  content: 0,
+  contentHtml: 0,
+  toc: 0,
+  likedBy: 0,
+};
+
+// Escape user input before putting it in a regex
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Accept "a,b" or repeated query params and return a clean list
+function parseListParam(value) {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Read page and limit from the query string
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Build the Mongo filter for blog listings from query params
+function buildBlogFilter(query) {
+  const filter = {};
+  const errors = [];
+
+  // Categories and tags match by slug, or by name for posts saved before
+  // the taxonomy-from-posts migration
+  const taxonomyConditions = [];
+
+  const categories = parseListParam(query.category);
+  if (categories.length > 0) {
+    taxonomyConditions.push({
+      $or: [
+        { categorySlug: { $in: categories.map(slugify) } },
+        { category: { $in: categories } },
+      ],
+    });
+  }
+
+  const tags = parseListParam(query.tags);
+  if (tags.length > 0) {
+    const operator = query.tagMatch === "all" ? "$all" : "$in";
+    taxonomyConditions.push({
+      $or: [
+        { tagSlugs: { [operator]: tags.map(slugify) } },
+        { tags: { [operator]: tags } },
+      ],
+    });
+  }
+
+  if (taxonomyConditions.length > 0) {
+    filter.$and = taxonomyConditions;
+  }
+
+  if (query.author) {
+    filter.author = {
+      $regex: `^${escapeRegex(String(query.author).trim())}$`,
+      $options: "i",
+    };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+
+    if (query.from) {
+      const from = new Date(query.from);
+      if (isNaN(from.getTime())) {
+        errors.push("Invalid 'from' date");
+      } else {
+        filter.createdAt.$gte = from;
+      }
+    }
+
+    if (query.to) {
+      const to = new Date(query.to);
+      if (isNaN(to.getTime())) {
+        errors.push("Invalid 'to' date");
+      } else {
+        filter.createdAt.$lte = to;
+      }
+    }
+  }
+
+  if (query.search) {
+    const pattern = escapeRegex(String(query.search).trim());
+    filter.$or = [
+      { title: { $regex: pattern, $options: "i" } },
+      { excerpt: { $regex: pattern, $options: "i" } },
+    ];
+  }
+
+  return { filter, errors };
+}
+
+// Turn ?fields=title,slug into a projection, or use the list default
+function buildBlogProjection(fieldsParam) {
+  const fields = parseListParam(fieldsParam).filter((field) =>
+    BLOG_LIST_FIELDS.includes(field)
+  );
+
+  if (fields.length === 0) {
+    return DEFAULT_LIST_PROJECTION;
+  }
+
+  const projection = { slug: 1 };
+  fields.forEach((field) => {
+    projection[field] = 1;
+  });
+  return projection;
+}
+
+// Pagination metadata with absolute next/prev links
+function buildPaginationMeta(req, { page, limit }, total) {
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+  const linkTo = (targetPage) => {
+    const url = new URL(
+      req.originalUrl,
+      `${req.protocol}://${req.get("host")}`
+    );
+    url.searchParams.set("page", targetPage);
+    url.searchParams.set("limit", limit);
+    return url.toString();
+  };
+
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    next: page < totalPages ? linkTo(page + 1) : null,
+    prev: page > 1 ? linkTo(Math.min(page - 1, totalPages)) : null,
+  };
+}
+
+// ======================
+// PUBLISHING WORKFLOW
+// ======================
+
+// How often an instance promotes due scheduled posts
+const PUBLISH_CHECK_INTERVAL_MS = 60 * 1000;
+let lastPublishCheck = 0;
+
+// Soft-deleted posts sit in the trash until restored or purged
+const NOT_DELETED = { isDeleted: { $ne: true } };
+
+// Published posts, posts from before statuses existed, and scheduled posts
+// whose time has come (even if publishDueBlogs hasn't flipped them yet)
+function publicBlogFilter(now = new Date()) {
+  return {
+    ...NOT_DELETED,
+    $or: [
+      { status: "published" },
+      { status: { $exists: false } },
+      { status: "scheduled", publishAt: { $lte: now } },
+    ],
+  };
+}
+
+// Staff can preview unpublished posts with ?preview=true. Authors only see
+// their own unpublished posts.
+function isPreviewRequest(req) {
+  return Boolean(req.user) && req.query.preview === "true";
+}
+
+function blogVisibilityFilter(req) {
+  if (!isPreviewRequest(req)) {
+    return publicBlogFilter();
+  }
+
+  if (req.user.role === "admin" || req.user.role === "editor") {
+    return { ...NOT_DELETED };
+  }
+
+  return {
+    ...NOT_DELETED,
+    $or: [...publicBlogFilter().$or, { createdBy: req.user._id.toString() }],
+  };
+}
+
+// Combine a query filter with the visibility rules
+function withVisibility(filter, visibility) {
+  if (Object.keys(visibility).length === 0) return filter;
+  if (Object.keys(filter).length === 0) return visibility;
+  return { $and: [filter, visibility] };
+}
+
+// Flip scheduled posts whose publishAt has passed to published. Runs lazily
+// from read endpoints, at most once a minute per instance, so no cron is needed.
+async function publishDueBlogs(database) {
+  const now = Date.now();
+  if (now - lastPublishCheck < PUBLISH_CHECK_INTERVAL_MS) return;
+  lastPublishCheck = now;
+
+  try {
+    const clientsCollection = database.collection("clients_info");
+    const due = await clientsCollection
+      .find(
+        { status: "scheduled", publishAt: { $lte: new Date(now) }, ...NOT_DELETED },
+        { projection: { _id: 1 } }
+      )
+      .toArray();
+
+    // One at a time, so that when instances race only one of them publishes
+    // a post and raises its webhooks
+    let published = 0;
+    for (const { _id } of due) {
+      const blog = await clientsCollection.findOneAndUpdate(
+        { _id, status: "scheduled" },
+        [
+          {
+            $set: {
+              status: "published",
+              publishedAt: "$publishAt",
+              updatedAt: "$$NOW",
+            },
+          },
+        ],
+        { returnDocument: "after" }
+      );
+
+      if (blog) {
+        published++;
+        await dispatchBlogWebhooks(database, { ...blog, status: "scheduled" }, blog);
+      }
+    }
+
+    if (published > 0) {
+      console.log(`📅 Published ${published} scheduled blog(s)`);
+    }
+  } catch (error) {
+    console.error("Error publishing scheduled blogs:", error);
+  }
+}
+
+// Check a requested status (and publishAt) for a user, returning an error
+// message or null
+function checkStatusChange(user, currentStatus, nextStatus, publishAt) {
+  if (
+    currentStatus &&
+    currentStatus !== nextStatus &&
+    !STATUS_TRANSITIONS[currentStatus].includes(nextStatus)
+  ) {
+    return `Cannot move a post from '${currentStatus}' to '${nextStatus}'`;
+  }
+
+  if (user.role === "author" && !AUTHOR_STATUSES.includes(nextStatus)) {
+    return `Authors can only set status to: ${AUTHOR_STATUSES.join(", ")}`;
+  }
+
+  if (nextStatus === "scheduled" && (!publishAt || publishAt <= new Date())) {
+    return "Scheduled posts need a publishAt date in the future";
+  }
+
+  return null;
+}
+
+// Fields to $set for a status change
+function statusFields(status, publishAt) {
+  const fields = { status };
+
+  if (status === "scheduled") {
+    fields.publishAt = publishAt;
+  } else if (status === "published") {
+    fields.publishAt = null;
+    fields.publishedAt = new Date();
+  } else {
+    fields.publishAt = null;
+  }
+
+  return fields;
+}
+
+// ======================
+// REVISION HISTORY
+// ======================
+
+// Every editable field is tracked in revisions
+const REVISION_FIELDS = Object.keys(blogSchemas.create);
+
+// Restoring a revision brings back content, not the URL or publishing state
+const RESTORABLE_FIELDS = REVISION_FIELDS.filter(
+  (field) => !["slug", "status", "publishAt"].includes(field)
+);
+
+function pickFields(doc, fields) {
+  const picked = {};
+  fields.forEach((field) => {
+    if (doc && doc[field] !== undefined) {
+      picked[field] = doc[field];
+    }
+  });
+  return picked;
+}
+
+// Field-level diff between two versions of a post
+function diffFields(before, after, fields = REVISION_FIELDS) {
+  const valueOf = (doc, field) =>
+    doc && doc[field] !== undefined ? doc[field] : null;
+
+  return fields
+    .filter(
+      (field) =>
+        JSON.stringify(valueOf(before, field)) !==
+        JSON.stringify(valueOf(after, field))
+    )
+    .map((field) => ({
+      field,
+      from: valueOf(before, field),
+      to: valueOf(after, field),
+    }));
+}
+
+function revisionAuthor(user) {
+  return user
+    ? { id: user._id.toString(), name: user.name, role: user.role }
+    : null;
+}
+
+// Save a revision for a blog write. `after` must carry the revision number
+// the write just $inc'd to; posts from before revisions existed get a
+// baseline revision 0 holding their original content first. The write has
+// already been saved by then, so a failure is logged rather than thrown; a
+// 500 would make clients retry an edit that went through.
+async function recordRevision(database, { before, after, user, action }) {
+  const revisionsCollection = database.collection("blog_revisions");
+  const blogId = after._id.toString();
+
+  try {
+    if (before && before.revision === undefined) {
+      await revisionsCollection.insertOne({
+        blogId,
+        slug: before.slug,
+        revision: 0,
+        action: "baseline",
+        snapshot: pickFields(before, REVISION_FIELDS),
+        changes: [],
+        editedBy: null,
+        createdAt: before.updatedAt || before.createdAt || new Date(),
+      });
+    }
+
+    await revisionsCollection.insertOne({
+      blogId,
+      slug: after.slug,
+      revision: after.revision,
+      action,
+      snapshot: pickFields(after, REVISION_FIELDS),
+      changes: diffFields(before, after),
+      editedBy: revisionAuthor(user),
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    console.error(`Error recording revision ${after.revision} of blog ${blogId}:`, error);
+  }
+}
+
+// Load a post for the revision endpoints, checking the caller may edit it
+async function findEditableBlog(database, req, res) {
+  const blog = await database
+    .collection("clients_info")
+    .findOne({ slug: req.params.slug, ...NOT_DELETED });
+
+  if (!blog) {
+    res.status(404).json({
+      success: false,
+      message: "Blog not found",
+    });
+    return null;
+  }
+
+  if (!canEditBlog(req.user, blog)) {
+    res.status(403).json({
+      success: false,
+      message: "You can only view the history of your own posts",
+    });
+    return null;
+  }
+
+  return blog;
+}
+
+// ======================
+// SLUG MANAGEMENT
+// ======================
+
+const MAX_SLUG_LENGTH = 120;
+
+// "Hello, Wörld!" -> "hello-world"
+function slugify(text) {
+  const slug = String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  if (slug.length <= MAX_SLUG_LENGTH) return slug;
+
+  // Cut long slugs at a word boundary
+  const cut = slug.slice(0, MAX_SLUG_LENGTH);
+  const lastHyphen = cut.lastIndexOf("-");
+  return lastHyphen > 0 ? cut.slice(0, lastHyphen) : cut;
+}
+
+// A slug is taken if a post (even a trashed one) uses it, or if it's an old
+// slug that still redirects to another post
+async function isSlugTaken(database, slug, excludeBlogId = null) {
+  const [blog, history] = await Promise.all([
+    database
+      .collection("clients_info")
+      .findOne({ slug }, { projection: { _id: 1 } }),
+    database.collection("slug_history").findOne({ oldSlug: slug }),
+  ]);
+
+  const excluded = excludeBlogId ? excludeBlogId.toString() : null;
+
+  if (blog && blog._id.toString() !== excluded) return true;
+  if (history && history.blogId !== excluded) return true;
+  return false;
+}
+
+// Find a free slug based on `base`, adding -2, -3, ... on conflicts
+async function generateUniqueSlug(database, base, excludeBlogId = null) {
+  const root = slugify(base).slice(0, MAX_SLUG_LENGTH - 4) || "post";
+  const pattern = new RegExp(`^${escapeRegex(root)}(-\\d+)?$`);
+
+  const [blogs, history] = await Promise.all([
+    database
+      .collection("clients_info")
+      .find({ slug: pattern }, { projection: { slug: 1 } })
+      .toArray(),
+    database.collection("slug_history").find({ oldSlug: pattern }).toArray(),
+  ]);
+
+  const excluded = excludeBlogId ? excludeBlogId.toString() : null;
+  const taken = new Set([
+    ...blogs
+      .filter((blog) => blog._id.toString() !== excluded)
+      .map((blog) => blog.slug),
+    ...history
+      .filter((entry) => entry.blogId !== excluded)
+      .map((entry) => entry.oldSlug),
+  ]);
+
+  if (!taken.has(root)) return root;
+
+  let suffix = 2;
+  while (taken.has(`${root}-${suffix}`)) suffix++;
+  return `${root}-${suffix}`;
+}
+
+// Remember the old slug so it keeps working, and move everything keyed by
+// slug over to the new one
+async function recordSlugChange(database, blogId, oldSlug, newSlug) {
+  const slugHistory = database.collection("slug_history");
+  const id = blogId.toString();
+
+  // Renaming back to an old slug makes it live again
+  await slugHistory.deleteOne({ oldSlug: newSlug, blogId: id });
+  await slugHistory.updateOne(
+    { oldSlug },
+    { $set: { blogId: id, createdAt: new Date() } },
+    { upsert: true }
+  );
+
+  await cascadeSlugRename(database, oldSlug, newSlug);
+}
+
+// Everything stored against a blog's slug rather than its id
+async function cascadeSlugRename(database, oldSlug, newSlug) {
+  await database
+    .collection("comments")
+    .updateMany({ blogSlug: oldSlug }, { $set: { blogSlug: newSlug } });
+}
+
+// Current slug for an old one, or null
+async function findSlugRedirect(database, slug) {
+  const history = await database
+    .collection("slug_history")
+    .findOne({ oldSlug: slug });
+
+  if (!history || !ObjectId.isValid(history.blogId)) return null;
+
+  const blog = await database
+    .collection("clients_info")
+    .findOne(
+      { _id: new ObjectId(history.blogId), ...NOT_DELETED },
+      { projection: { slug: 1 } }
+    );
+
+  return blog ? blog.slug : null;
+}
+
+// Middleware: answer requests for a renamed post with a redirect to its
+// current slug. GETs get a 301, other methods a 308 so the body is re-sent.
+async function followSlugRedirects(req, res, next) {
+  try {
+    const { database } = await connectToDatabase();
+    const { slug } = req.params;
+
+    const current = await database
+      .collection("clients_info")
+      .findOne({ slug }, { projection: { _id: 1 } });
+
+    if (current) return next();
+
+    const newSlug = await findSlugRedirect(database, slug);
+    if (!newSlug) return next();
+
+    const location = req.originalUrl.replace(
+      `/blogs/${encodeURIComponent(slug)}`,
+      `/blogs/${encodeURIComponent(newSlug)}`
+    );
+
+    res
+      .status(req.method === "GET" ? 301 : 308)
+      .location(location)
+      .json({
+        success: false,
+        message: "Blog has moved",
+        redirect: { slug: newSlug, location },
+      });
+  } catch (error) {
+    console.error("Error resolving slug redirect:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+// ======================
+// TAXONOMIES
+// ======================
+
+// Categories and tags are managed terms with a name, slug and description.
+// Posts keep the canonical name(s) alongside the slug(s) so older clients
+// reading `category` and `tags` keep working. Renamed and merged slugs stay
+// on the surviving term as aliases, so old spellings still resolve.
+const TAXONOMIES = {
+  categories: {
+    collection: "categories",
+    label: "Category",
+    nameField: "category",
+    slugField: "categorySlug",
+    multiple: false,
+    hierarchical: true,
+    // Unknown categories are created on first use, like tags, so existing
+    // clients keep working; CATEGORIES_AUTO_CREATE=false makes them required
+    autoCreate: process.env.CATEGORIES_AUTO_CREATE !== "false",
+  },
+  tags: {
+    collection: "tags",
+    label: "Tag",
+    nameField: "tags",
+    slugField: "tagSlugs",
+    multiple: true,
+    hierarchical: false,
+    autoCreate: process.env.TAGS_AUTO_CREATE !== "false",
+  },
+};
+
+const termSchemas = {
+  create: {
+    name: { type: "string", required: true, maxLength: 50 },
+    slug: {
+      type: "string",
+      maxLength: 120,
+      pattern: SLUG_PATTERN,
+      patternMessage: "must be lowercase letters, numbers and single hyphens",
+    },
+    description: { type: "string", maxLength: 500, allowEmpty: true },
+    parentId: { type: "objectId", nullable: true },
+  },
+  merge: {
+    into: { type: "string", required: true, maxLength: 120 },
+  },
+};
+
+termSchemas.update = partialSchema(termSchemas.create);
+
+// Tags are flat
+function termSchema(taxonomy, action) {
+  const schema = termSchemas[action];
+  return taxonomy.hierarchical ? schema : omitFields(schema, ["parentId"]);
+}
+
+// Find a term by its slug or one of its old slugs
+function findTerm(database, taxonomy, slug) {
+  return database
+    .collection(taxonomy.collection)
+    .findOne({ $or: [{ slug }, { aliases: slug }] });
+}
+
+// Map free-form names to terms. Unknown names are created when the taxonomy
+// allows it (or create is forced, as the migration does) and reported
+// otherwise.
+async function resolveTerms(database, taxonomy, values, { create = taxonomy.autoCreate } = {}) {
+  const termsCollection = database.collection(taxonomy.collection);
+  const wanted = values
+    .map((value) => String(value).trim())
+    .filter(Boolean)
+    .map((name) => ({ name, slug: slugify(name) }))
+    .filter((value) => value.slug);
+  const slugs = wanted.map((value) => value.slug);
+
+  const found = await termsCollection
+    .find({ $or: [{ slug: { $in: slugs } }, { aliases: { $in: slugs } }] })
+    .toArray();
+  const bySlug = new Map();
+  found.forEach((term) =>
+    [term.slug, ...(term.aliases || [])].forEach((slug) => bySlug.set(slug, term))
+  );
+
+  const terms = [];
+  const unknown = [];
+
+  for (const value of wanted) {
+    let term = bySlug.get(value.slug);
+
+    if (!term && create) {
+      // Upsert so two posts introducing the same tag don't race
+      const now = new Date();
+      term = await termsCollection.findOneAndUpdate(
+        { slug: value.slug },
+        {
+          $setOnInsert: {
+            name: value.name,
+            description: "",
+            aliases: [],
+            ...(taxonomy.hierarchical ? { parentId: null } : {}),
+            createdAt: now,
+            updatedAt: now,
+          },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+      bySlug.set(value.slug, term);
+    }
+
+    if (term) {
+      if (!terms.some((existing) => existing.slug === term.slug)) {
+        terms.push(term);
+      }
+    } else {
+      unknown.push(value.name);
+    }
+  }
+
+  return { terms, unknown };
+}
+
+// Canonical category/tags (and their slugs) for the taxonomy fields present
+// in a blog write. Unknown terms come back as validation errors.
+async function normalizeTaxonomies(database, changes, options) {
+  const fields = {};
+  const errors = [];
+
+  for (const taxonomy of Object.values(TAXONOMIES)) {
+    const raw = changes[taxonomy.nameField];
+    if (raw === undefined) continue;
+
+    const values = taxonomy.multiple ? raw || [] : [raw].filter(Boolean);
+    const { terms, unknown } = await resolveTerms(database, taxonomy, values, options);
+
+    unknown.forEach((name) =>
+      errors.push({
+        field: taxonomy.nameField,
+        message: `Unknown ${taxonomy.label.toLowerCase()} '${name}'`,
+      })
+    );
+
+    if (taxonomy.multiple) {
+      fields[taxonomy.nameField] = terms.map((term) => term.name);
+      fields[taxonomy.slugField] = terms.map((term) => term.slug);
+    } else {
+      fields[taxonomy.nameField] = terms.length > 0 ? terms[0].name : "";
+      fields[taxonomy.slugField] = terms.length > 0 ? terms[0].slug : null;
+    }
+  }
+
+  return { fields, errors };
+}
+
+// Point every post using one of fromSlugs at the given term instead.
+// Returns the number of posts changed.
+async function retagPosts(database, taxonomy, fromSlugs, term) {
+  const clientsCollection = database.collection("clients_info");
+  const posts = await clientsCollection
+    .find(
+      { [taxonomy.slugField]: { $in: fromSlugs } },
+      { projection: { [taxonomy.nameField]: 1, [taxonomy.slugField]: 1 } }
+    )
+    .toArray();
+
+  if (posts.length === 0) return 0;
+
+  const operations = posts.map((post) => {
+    let update;
+
+    if (taxonomy.multiple) {
+      const names = [];
+      const slugs = [];
+      (post[taxonomy.slugField] || []).forEach((slug, index) => {
+        const replaced = fromSlugs.includes(slug);
+        const nextSlug = replaced ? term.slug : slug;
+        if (slugs.includes(nextSlug)) return;
+        slugs.push(nextSlug);
+        names.push(replaced ? term.name : post[taxonomy.nameField][index]);
+      });
+      update = { [taxonomy.nameField]: names, [taxonomy.slugField]: slugs };
+    } else {
+      update = { [taxonomy.nameField]: term.name, [taxonomy.slugField]: term.slug };
+    }
+
+    return {
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: { ...update, updatedAt: new Date() } },
+      },
+    };
+  });
+
+  await clientsCollection.bulkWrite(operations, { ordered: false });
+  return posts.length;
+}
+
+// Slugs of a category and everything below it
+async function descendantSlugs(database, taxonomy, term) {
+  if (!taxonomy.hierarchical) return [term.slug];
+
+  const all = await database
+    .collection(taxonomy.collection)
+    .find({}, { projection: { slug: 1, parentId: 1 } })
+    .toArray();
+
+  const slugs = [term.slug];
+  const queue = [term._id.toString()];
+  while (queue.length > 0) {
+    const parentId = queue.shift();
+    all
+      .filter((child) => child.parentId === parentId)
+      .forEach((child) => {
+        slugs.push(child.slug);
+        queue.push(child._id.toString());
+      });
+  }
+  return slugs;
+}
+
+// A parent must exist and can't be the term itself or one of its children
+async function checkParent(database, taxonomy, termId, parentId) {
+  if (!parentId) return null;
+
+  const termsCollection = database.collection(taxonomy.collection);
+  let current = await termsCollection.findOne({ _id: new ObjectId(parentId) });
+
+  if (!current) {
+    return "Parent category not found";
+  }
+
+  while (current) {
+    if (termId && current._id.toString() === termId.toString()) {
+      return "A category can't be nested inside itself";
+    }
+    current = current.parentId
+      ? await termsCollection.findOne({ _id: new ObjectId(current.parentId) })
+      : null;
+  }
+  return null;
+}
+
+// Public post counts per term slug
+async function countPostsByTerm(database, taxonomy) {
+  const counts = await database
+    .collection("clients_info")
+    .aggregate([
+      { $match: publicBlogFilter() },
+      ...(taxonomy.multiple ? [{ $unwind: `$${taxonomy.slugField}` }] : []),
+      { $group: { _id: `$${taxonomy.slugField}`, count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  return new Map(counts.map((entry) => [entry._id, entry.count]));
+}
+
+// ======================
+// CONTENT RENDERING
+// ======================
+
+// Posts keep their source in `content` and get sanitized HTML plus derived
+// fields (table of contents, reading time, word count, excerpt) on write.
+// Posts that don't declare a format are treated as DEFAULT_CONTENT_FORMAT.
+const DEFAULT_CONTENT_FORMAT = CONTENT_FORMATS.includes(
+  process.env.DEFAULT_CONTENT_FORMAT
+)
+  ? process.env.DEFAULT_CONTENT_FORMAT
+  : "html";
+const WORDS_PER_MINUTE = 200;
+const AUTO_EXCERPT_LENGTH = 200;
+
+const POST_HTML_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    "img",
+    "h1",
+    "h2",
+    "del",
+    "ins",
+  ]),
+  allowedAttributes: {
+    a: ["href", "name", "target", "rel", "title"],
+    img: ["src", "alt", "title", "width", "height", "loading"],
+    code: ["class"],
+    th: ["align", "colspan", "rowspan"],
+    td: ["align", "colspan", "rowspan"],
+  },
+  allowedClasses: { code: ["language-*"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs:
+        attribs.target === "_blank"
+          ? { ...attribs, rel: "noopener noreferrer" }
+          : attribs,
+    }),
+  },
+};
+
+// Comments get a small markdown subset: emphasis, code, quotes, lists, links
+const COMMENT_HTML_OPTIONS = {
+  allowedTags: ["p", "br", "strong", "em", "del", "code", "pre", "blockquote", "ul", "ol", "li", "a"],
+  allowedAttributes: { a: ["href", "rel"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "nofollow ugc noopener" }),
+  },
+};
+
+// Plain text of an HTML fragment with the common entities decoded
+function htmlToText(html) {
+  return stripHtml(html)
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Cut text at a word boundary
+function truncateText(text, length) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${lastSpace > length / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+// Give every heading a unique id and collect them into a table of contents.
+// Runs on sanitized HTML, where headings carry no attributes.
+function addHeadingAnchors(html) {
+  const toc = [];
+  const usedIds = new Set();
+
+  const withAnchors = html.replace(
+    /<h([1-6])>([\s\S]*?)<\/h\1>/g,
+    (match, level, inner) => {
+      const text = htmlToText(inner);
+      const base = slugify(text) || "section";
+      let id = base;
+      for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${base}-${suffix}`;
+      }
+      usedIds.add(id);
+
+      toc.push({ level: Number(level), text, id });
+      return `<h${level} id="${id}">${inner}</h${level}>`;
+    }
+  );
+
+  return { html: withAnchors, toc };
+}
+
+function renderPostContent(content, format) {
+  const source = String(content || "");
+  const html = format === "markdown" ? marked.parse(source, { gfm: true }) : source;
+  const { html: contentHtml, toc } = addHeadingAnchors(
+    sanitizeHtml(html, POST_HTML_OPTIONS)
+  );
+
+  const text = htmlToText(contentHtml);
+  const wordCount = text ? text.split(/\s+/).length : 0;
+
+  return {
+    contentHtml,
+    toc,
+    wordCount,
+    readingTime: wordCount > 0 ? Math.ceil(wordCount / WORDS_PER_MINUTE) : 0,
+    autoExcerpt: truncateText(text, AUTO_EXCERPT_LENGTH),
+  };
+}
+
+// Derived fields to store when a post's content or format changes. The
+// excerpt follows the content too, unless the author wrote their own.
+function renderedFields(current, changes) {
+  const content =
+    changes.content !== undefined ? changes.content : current.content;
+  const contentFormat =
+    changes.contentFormat || current.contentFormat || DEFAULT_CONTENT_FORMAT;
+  const rendered = renderPostContent(content, contentFormat);
+  const fields = { contentFormat, ...rendered };
+
+  const excerptIsGenerated =
+    !current.excerpt || current.excerpt === current.autoExcerpt;
+  if (changes.excerpt === undefined && excerptIsGenerated) {
+    fields.excerpt = rendered.autoExcerpt;
+  }
+
+  return fields;
+}
+
+function renderCommentContent(content) {
+  const html = marked.parse(String(content || ""), { gfm: true, breaks: true });
+  return sanitizeHtml(html, COMMENT_HTML_OPTIONS);
+}
+
+// ======================
+// COMMENT MODERATION
+// ======================
+
+const COMMENT_STATUSES = ["pending", "approved", "rejected", "spam"];
+
+// Comments the public can see. Comments from before moderation existed have
+// no status and count as approved.
+const APPROVED_COMMENT = {
+  $or: [{ status: "approved" }, { status: { $exists: false } }],
+};
+
+// Moderation settings, configured through env
+const MODERATION_CONFIG = {
+  // Status for comments that no rule objects to ("approved" or "pending")
+  defaultStatus: process.env.MODERATION_DEFAULT_STATUS || "approved",
+  // More links than this holds a comment for review...
+  maxLinks: parseInt(process.env.MODERATION_MAX_LINKS, 10) || 2,
+  // ...and more than this marks it as spam
+  spamLinks: parseInt(process.env.MODERATION_SPAM_LINKS, 10) || 5,
+  bannedWords: parseListParam(process.env.MODERATION_BANNED_WORDS).map(
+    (word) => word.toLowerCase()
+  ),
+  // How far back to look for repeated content
+  repeatWindowHours:
+    parseInt(process.env.MODERATION_REPEAT_WINDOW_HOURS, 10) || 24,
+  // Approved comments needed before an email skips the default status
+  trustedAfter: parseInt(process.env.MODERATION_TRUSTED_AFTER, 10) || 3,
+  // Rejected or spam comments after which an email is treated as a spammer
+  blockedAfter: parseInt(process.env.MODERATION_BLOCKED_AFTER, 10) || 2,
+};
+
+// Stronger verdicts win when rules disagree
+const VERDICT_PRIORITY = ["spam", "pending", "approved"];
+
+// Fingerprint of a comment's text, used to spot repeated content
+function hashContent(content) {
+  return crypto
+    .createHash("sha256")
+    .update(String(content).toLowerCase().replace(/\s+/g, " ").trim())
+    .digest("hex");
+}
+
+// Each rule looks at a comment and returns a verdict ("spam", "pending",
+// "approved") with a reason, or null when it has nothing to say
+const MODERATION_RULES = [
+  {
+    name: "links",
+    check: (comment) => {
+      const links = (comment.content.match(/https?:\/\/|www\./gi) || [])
+        .length;
+
+      if (links > MODERATION_CONFIG.spamLinks) {
+        return { verdict: "spam", reason: `Contains ${links} links` };
+      }
+      if (links > MODERATION_CONFIG.maxLinks) {
+        return { verdict: "pending", reason: `Contains ${links} links` };
+      }
+      return null;
+    },
+  },
+  {
+    name: "bannedWords",
+    check: (comment) => {
+      const text = `${comment.content} ${comment.author.name}`.toLowerCase();
+      const found = MODERATION_CONFIG.bannedWords.filter((word) =>
+        new RegExp(`\\b${escapeRegex(word)}\\b`).test(text)
+      );
+
+      return found.length > 0
+        ? { verdict: "spam", reason: `Banned words: ${found.join(", ")}` }
+        : null;
+    },
+  },
+  {
+    name: "repeatContent",
+    check: async (comment, { commentsCollection, excludeSelf }) => {
+      const since = new Date(
+        Date.now() - MODERATION_CONFIG.repeatWindowHours * 60 * 60 * 1000
+      );
+      const repeats = await commentsCollection
+        .find(
+          {
+            contentHash: comment.contentHash,
+            createdAt: { $gte: since },
+            ...excludeSelf,
+          },
+          { projection: { "author.email": 1 } }
+        )
+        .toArray();
+
+      if (repeats.some((repeat) => repeat.author.email === comment.author.email)) {
+        return { verdict: "spam", reason: "Same comment posted again" };
+      }
+      if (repeats.length >= 2) {
+        return { verdict: "spam", reason: "Same comment posted by several people" };
+      }
+      return null;
+    },
+  },
+  {
+    name: "reputation",
+    check: async (comment, { commentsCollection, excludeSelf }) => {
+      const history = await commentsCollection
+        .aggregate([
+          {
+            $match: {
+              "author.email": comment.author.email,
+              ...excludeSelf,
+            },
+          },
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ])
+        .toArray();
+
+      const counts = Object.fromEntries(
+        history.map((entry) => [entry._id || "approved", entry.count])
+      );
+      const bad = (counts.spam || 0) + (counts.rejected || 0);
+
+      if (bad >= MODERATION_CONFIG.blockedAfter) {
+        return { verdict: "spam", reason: `Sender has ${bad} rejected comments` };
+      }
+      if (bad === 0 && (counts.approved || 0) >= MODERATION_CONFIG.trustedAfter) {
+        return { verdict: "approved", reason: "Trusted commenter" };
+      }
+      return null;
+    },
+  },
+];
+
+// Run every rule over a comment and decide its status
+async function moderateComment(database, comment) {
+  const context = {
+    commentsCollection: database.collection("comments"),
+    // Edited comments shouldn't count against themselves
+    excludeSelf: comment._id ? { _id: { $ne: comment._id } } : {},
+  };
+  const results = [];
+
+  for (const rule of MODERATION_RULES) {
+    const result = await rule.check(comment, context);
+    if (result) results.push({ rule: rule.name, ...result });
+  }
+
+  const verdict =
+    VERDICT_PRIORITY.find((status) =>
+      results.some((result) => result.verdict === status)
+    ) || MODERATION_CONFIG.defaultStatus;
+
+  return {
+    status: verdict,
+    moderation: {
+      reasons: results,
+      checkedAt: new Date(),
+    },
+  };
+}
+
+// ======================
+// COMMENT THREADS
+// ======================
+
+// Comments store their ancestor ids (root first), the id of the top-level
+// comment they belong to, and their depth, so whole threads load in one query
+const REPLIES_PER_THREAD = 5;
+const MAX_REPLIES_PAGE = 50;
+
+// Comments the public can see in a thread
+const VISIBLE_COMMENT = { isDeleted: { $ne: true }, ...APPROVED_COMMENT };
+
+// Thread fields for a new comment, based on its parent (or null)
+function threadFields(parentComment) {
+  if (!parentComment) {
+    return { ancestors: [], rootId: null, depth: 0 };
+  }
+
+  const ancestors = [
+    ...(parentComment.ancestors || []),
+    parentComment._id.toString(),
+  ];
+  return { ancestors, rootId: ancestors[0], depth: ancestors.length };
+}
+
+// Opaque cursor pointing after a comment in chronological order
+function encodeCursor(comment) {
+  return Buffer.from(
+    JSON.stringify({ createdAt: comment.createdAt, id: comment._id.toString() })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { createdAt, id } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    const date = new Date(createdAt);
+    if (isNaN(date.getTime()) || !ObjectId.isValid(id)) return null;
+    return { createdAt: date, id: new ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Filter for comments that come after a cursor
+function afterCursor(cursor) {
+  return {
+    $or: [
+      { createdAt: { $gt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $gt: cursor.id } },
+    ],
+  };
+}
+
+// Number of visible direct replies for each of the given comment ids
+async function countDirectReplies(commentsCollection, parentIds) {
+  if (parentIds.length === 0) return {};
+
+  const counts = await commentsCollection
+    .aggregate([
+      { $match: { parentId: { $in: parentIds }, ...VISIBLE_COMMENT } },
+      { $group: { _id: "$parentId", count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  return Object.fromEntries(counts.map((entry) => [entry._id, entry.count]));
+}
+
+// Nest a chronological list of comments under their parents. A parent is
+// always older than its replies, so it is either `roots` or earlier in the
+// list. Replies whose parent isn't in the list stay at the top level so the
+// client can attach them to comments it already has.
+function nestComments(roots, comments, replyCounts) {
+  const nodes = new Map();
+  const topLevel = [];
+
+  const toNode = (comment) => ({
+    ...comment,
+    replyCount: replyCounts[comment._id.toString()] || 0,
+    replies: [],
+  });
+
+  roots.forEach((root) => nodes.set(root._id.toString(), root));
+
+  comments.forEach((comment) => {
+    const node = toNode(comment);
+    nodes.set(comment._id.toString(), node);
+
+    // A reply whose parent is hidden or wasn't loaded goes under its
+    // nearest ancestor that was
+    const parentId = [...(comment.ancestors || [comment.parentId])]
+      .reverse()
+      .find((id) => nodes.has(id));
+    const parent = parentId ? nodes.get(parentId) : null;
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      topLevel.push(node);
+    }
+  });
+
+  return { nodes, topLevel };
+}
+
+// A comment as the public sees it: no email, commenter id or moderation
+// details. `isOwn` tells the viewer which comments they can edit.
+function toPublicComment(comment, commenterId) {
+  const {
+    userIdentifier,
+    contentHash,
+    moderation,
+    author = {},
+    replies,
+    ...rest
+  } = comment;
+
+  return {
+    ...rest,
+    author: { name: author.name, avatar: author.avatar },
+    isOwn: Boolean(commenterId) && userIdentifier === commenterId,
+    ...(replies
+      ? { replies: replies.map((reply) => toPublicComment(reply, commenterId)) }
+      : {}),
+  };
+}
+
+// ======================
+// MIGRATIONS
+// ======================
+
+// One-off data migrations, run by an admin with POST /admin/migrations/:name.
+// Every migration must be safe to run more than once.
+const MIGRATIONS = {
+  "comment-threads": {
+    description:
+      "Add ancestors, rootId and depth to comments so nested replies load as threads",
+    run: async (database) => {
+      const commentsCollection = database.collection("comments");
+      const comments = await commentsCollection
+        .find({}, { projection: { parentId: 1 } })
+        .toArray();
+
+      const parents = new Map(
+        comments.map((comment) => [comment._id.toString(), comment.parentId])
+      );
+
+      const operations = comments.map((comment) => {
+        const ancestors = [];
+        let parentId = comment.parentId;
+
+        // Walk up the parent chain (guarding against broken or cyclic data)
+        while (parentId && parents.has(parentId) && !ancestors.includes(parentId)) {
+          ancestors.unshift(parentId);
+          parentId = parents.get(parentId);
+        }
+
+        return {
+          updateOne: {
+            filter: { _id: comment._id },
+            update: {
+              $set: {
+                ancestors,
+                rootId: ancestors[0] || null,
+                depth: ancestors.length,
+              },
+            },
+          },
+        };
+      });
+
+      if (operations.length === 0) return { updated: 0 };
+
+      const result = await commentsCollection.bulkWrite(operations, {
+        ordered: false,
+      });
+      return { updated: result.modifiedCount };
+    },
+  },
+  "render-content": {
+    description:
+      "Store sanitized HTML, table of contents, reading time and word count for existing posts and comments",
+    run: async (database) => {
+      const summary = {};
+
+      for (const [collectionName, render] of [
+        ["clients_info", (doc) => renderedFields(doc, {})],
+        ["comments", (doc) => ({ contentHtml: renderCommentContent(doc.content) })],
+      ]) {
+        const collection = database.collection(collectionName);
+        const cursor = collection.find({ contentHtml: { $exists: false } });
+        let operations = [];
+        let updated = 0;
+
+        for await (const doc of cursor) {
+          operations.push({
+            updateOne: { filter: { _id: doc._id }, update: { $set: render(doc) } },
+          });
+
+          if (operations.length === 500) {
+            updated += (await collection.bulkWrite(operations)).modifiedCount;
+            operations = [];
+          }
+        }
+
+        if (operations.length > 0) {
+          updated += (await collection.bulkWrite(operations)).modifiedCount;
+        }
+
+        summary[collectionName] = updated;
+      }
+
+      return summary;
+    },
+  },
+  "taxonomy-from-posts": {
+    description:
+      "Create category and tag terms from existing posts and store the slugs on each post",
+    run: async (database) => {
+      const clientsCollection = database.collection("clients_info");
+      const cursor = clientsCollection.find(
+        {},
+        { projection: { category: 1, tags: 1 } }
+      );
+      let posts = 0;
+
+      // Case and spacing variants of a name share a slug, so they collapse
+      // into one term here
+      for await (const post of cursor) {
+        const { fields } = await normalizeTaxonomies(
+          database,
+          { category: post.category || "", tags: post.tags || [] },
+          { create: true }
+        );
+        await clientsCollection.updateOne({ _id: post._id }, { $set: fields });
+        posts++;
+      }
+
+      const [categories, tags] = await Promise.all([
+        database.collection(TAXONOMIES.categories.collection).countDocuments(),
+        database.collection(TAXONOMIES.tags.collection).countDocuments(),
+      ]);
+
+      return { posts, categories, tags };
+    },
+  },
+  "authors-from-posts": {
+    description:
+      "Create author profiles from the author names on posts and link posts to them by authorId",
+    run: async (database) => {
+      const clientsCollection = database.collection("clients_info");
+      const authorsCollection = database.collection("authors");
+
+      // Profiles whose name matches a login account get linked to it
+      const users = await database
+        .collection("users")
+        .find({}, { projection: { name: 1, email: 1 } })
+        .toArray();
+      const usersBySlug = new Map(users.map((user) => [slugify(user.name || ""), user]));
+
+      // Group posts by author slug; the newest post decides the spelling
+      const groups = new Map();
+      const cursor = clientsCollection
+        .find(
+          { author: { $type: "string", $ne: "" } },
+          { projection: { author: 1, authorImage: 1 } }
+        )
+        .sort({ createdAt: -1 });
+
+      for await (const post of cursor) {
+        const slug = slugify(post.author);
+        if (!slug) continue;
+
+        if (!groups.has(slug)) {
+          groups.set(slug, { name: post.author.trim(), avatar: "", postIds: [] });
+        }
+        const group = groups.get(slug);
+        group.postIds.push(post._id);
+        if (!group.avatar && post.authorImage) group.avatar = post.authorImage;
+      }
+
+      let created = 0;
+      let posts = 0;
+
+      for (const [slug, group] of groups) {
+        let author = await findAuthor(database, slug);
+
+        if (!author) {
+          const user = usersBySlug.get(slug);
+          author = {
+            name: group.name,
+            slug,
+            bio: "",
+            avatar: group.avatar,
+            email: user ? user.email : "",
+            socialLinks: {},
+            aliases: [],
+            userId: user ? user._id.toString() : null,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          };
+          author._id = (await authorsCollection.insertOne(author)).insertedId;
+          created++;
+        }
+
+        const result = await clientsCollection.updateMany(
+          { _id: { $in: group.postIds } },
+          { $set: authorFields(author, group.avatar) }
+        );
+        posts += result.modifiedCount;
+      }
+
+      return { authors: created, posts };
+    },
+  },
+  "likes-to-reactions": {
+    description:
+      "Move likedBy arrays from posts and comments into the reactions collection",
+    run: async (database) => {
+      const summary = {};
+
+      for (const [targetType, collectionName] of [
+        ["blog", "clients_info"],
+        ["comment", "comments"],
+      ]) {
+        const collection = database.collection(collectionName);
+        const cursor = collection.find(
+          { likedBy: { $exists: true } },
+          { projection: { _id: 1 } }
+        );
+        let migrated = 0;
+
+        for await (const doc of cursor) {
+          if (await migrateLegacyLikes(database, targetType, doc._id)) {
+            migrated++;
+          }
+        }
+
+        summary[collectionName] = migrated;
+      }
+
+      return summary;
+    },
+  },
+};
+
+// ======================
+// REAL-TIME EVENTS
+// ======================
+
+// Subscribers listen on "blog:<slug>". Events come from MongoDB change
+// streams when the deployment supports them (replica sets, Atlas), so every
+// instance sees every write. Otherwise routes publish straight to this
+// in-process bus, which only reaches subscribers on the same instance.
+const blogEvents = new EventEmitter();
+blogEvents.setMaxListeners(0);
+
+const SSE_HEARTBEAT_MS = 25 * 1000;
+
+// null until the first subscriber, then "changeStream" or "local"
+let realtimeSource = null;
+
+// The fields of a comment that are safe to push to every reader
+function realtimeComment(comment) {
+  return {
+    _id: comment._id.toString(),
+    blogSlug: comment.blogSlug,
+    parentId: comment.parentId,
+    rootId: comment.rootId || null,
+    depth: comment.depth || 0,
+    content: comment.content,
+    contentHtml: comment.contentHtml || "",
+    author: {
+      name: comment.author && comment.author.name,
+      avatar: comment.author && comment.author.avatar,
+    },
+    likes: comment.likes || 0,
+    reactions: reactionCountsOf(comment),
+    isEdited: Boolean(comment.isEdited),
+    createdAt: comment.createdAt,
+    updatedAt: comment.updatedAt,
+  };
+}
+
+function publishBlogEvent(slug, type, data) {
+  blogEvents.emit(`blog:${slug}`, { type, data, at: new Date() });
+}
+
+// Called by routes after a write. Skipped when change streams already
+// report the same write, so subscribers don't get it twice.
+function emitBlogEvent(slug, type, data) {
+  if (realtimeSource === "changeStream") return;
+  publishBlogEvent(slug, type, data);
+}
+
+// Turn a change on the comments collection into a blog event
+function handleCommentChange(change) {
+  const comment = change.fullDocument;
+  if (!comment) return;
+
+  const isVisible =
+    !comment.isDeleted && (!comment.status || comment.status === "approved");
+
+  if (change.operationType === "insert") {
+    if (isVisible) {
+      publishBlogEvent(comment.blogSlug, "comment.created", realtimeComment(comment));
+    }
+    return;
+  }
+
+  if (change.operationType !== "update") return;
+
+  const updated = change.updateDescription.updatedFields || {};
+
+  if (updated.isDeleted === true || (updated.status && !isVisible)) {
+    publishBlogEvent(comment.blogSlug, "comment.deleted", {
+      commentId: comment._id.toString(),
+    });
+  } else if (updated.status === "approved") {
+    publishBlogEvent(comment.blogSlug, "comment.created", realtimeComment(comment));
+  } else if (updated.content !== undefined && isVisible) {
+    publishBlogEvent(comment.blogSlug, "comment.edited", realtimeComment(comment));
+  }
+
+  if (updated.likes !== undefined && isVisible) {
+    publishBlogEvent(comment.blogSlug, "comment.likes", {
+      commentId: comment._id.toString(),
+      likes: comment.likes,
+    });
+  }
+
+  if (hasReactionUpdate(updated) && isVisible) {
+    publishBlogEvent(comment.blogSlug, "comment.reactions", {
+      commentId: comment._id.toString(),
+      likes: comment.likes || 0,
+      reactions: reactionCountsOf(comment),
+    });
+  }
+}
+
+// Whether an update touched likes or any reactionCounts.<type> field
+function hasReactionUpdate(updatedFields) {
+  return Object.keys(updatedFields).some(
+    (field) => field === "likes" || field.startsWith("reactionCounts")
+  );
+}
+
+// Turn a change on clients_info into like and view events
+function handleBlogChange(change) {
+  const blog = change.fullDocument;
+  if (!blog || change.operationType !== "update") return;
+
+  const updated = change.updateDescription.updatedFields || {};
+
+  if (updated.likes !== undefined) {
+    publishBlogEvent(blog.slug, "blog.likes", { likes: blog.likes || 0 });
+  }
+  if (hasReactionUpdate(updated)) {
+    publishBlogEvent(blog.slug, "blog.reactions", {
+      likes: blog.likes || 0,
+      reactions: reactionCountsOf(blog),
+    });
+  }
+  if (updated.views !== undefined) {
+    publishBlogEvent(blog.slug, "blog.views", { views: blog.views || 0 });
+  }
+}
+
+// Open change streams if the deployment supports them, otherwise fall back
+// to the in-process bus. Runs once per instance, on the first subscriber.
+async function startRealtime(database) {
+  if (realtimeSource) return;
+  realtimeSource = "local";
+
+  try {
+    // Change streams need a replica set or a sharded cluster
+    const hello = await database.command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      console.log("📡 Change streams unavailable, using in-process events");
+      return;
+    }
+
+    const streams = [
+      database
+        .collection("comments")
+        .watch([{ $match: { operationType: { $in: ["insert", "update"] } } }], {
+          fullDocument: "updateLookup",
+        })
+        .on("change", handleCommentChange),
+      database
+        .collection("clients_info")
+        .watch(
+          [
+            { $match: { operationType: "update" } },
+            {
+              $match: {
+                $or: [
+                  { "updateDescription.updatedFields.likes": { $exists: true } },
+                  { "updateDescription.updatedFields.views": { $exists: true } },
+                ],
+              },
+            },
+          ],
+          { fullDocument: "updateLookup" }
+        )
+        .on("change", handleBlogChange),
+    ];
+
+    // If a stream dies, close the rest and go back to in-process events
+    streams.forEach((stream) =>
+      stream.on("error", (error) => {
+        console.error("❌ Change stream failed:", error.message);
+        realtimeSource = "local";
+        streams.forEach((other) => other.close().catch(() => {}));
+      })
+    );
+
+    realtimeSource = "changeStream";
+    console.log("📡 Listening for changes with MongoDB change streams");
+  } catch (error) {
+    console.error("Error starting change streams:", error.message);
+    realtimeSource = "local";
+  }
+}
+
+// ======================
+// ANALYTICS
+// ======================
+
+// Salt for visitor hashes, so raw IPs never hit the database. Without
+// ANALYTICS_SALT one is derived from JWT_SECRET, so the token key itself
+// never goes into the hashes; rotating JWT_SECRET then resets the unique
+// visitor counts.
+const analyticsSalt =
+  process.env.ANALYTICS_SALT ||
+  crypto.createHmac("sha256", jwtSecret).update("analytics").digest("hex");
+
+if (!process.env.ANALYTICS_SALT) {
+  console.warn("⚠️ ANALYTICS_SALT is not set; unique visitor counts reset when JWT_SECRET changes");
+}
+
+// Repeat views from the same visitor inside this window count once
+const VIEW_DEDUPE_MINUTES =
+  parseInt(process.env.ANALYTICS_DEDUPE_MINUTES, 10) || 30;
+
+// Read endpoints refresh recent rollups at most this often per instance
+const ROLLUP_REFRESH_MS = 5 * 60 * 1000;
+let lastRollupRefresh = 0;
+
+const ROLLUP_COLLECTIONS = {
+  hour: "analytics_hourly",
+  day: "analytics_daily",
+};
+
+const UTM_FIELDS = ["source", "medium", "campaign", "term", "content"];
+
+const MAX_ANALYTICS_RANGE_DAYS = 366;
+
+// Stable, anonymous id for a visitor. Clients that send their own
+// identifier are tracked by it, everyone else by IP and user agent.
+function hashVisitor(req, userIdentifier) {
+  const identity = userIdentifier
+    ? `id:${userIdentifier}`
+    : `ip:${req.ip}:${req.get("user-agent") || ""}`;
+
+  return crypto
+    .createHash("sha256")
+    .update(`${analyticsSalt}:${identity}`)
+    .digest("hex");
+}
+
+// Referrer and UTM parameters for an analytics event. The page URL (with
+// its utm_* parameters) and referrer come from the client, since the request
+// itself is made by our own frontend.
+function trafficSource(req) {
+  const body = req.body || {};
+  const referrer = String(body.referrer || req.get("referer") || "").slice(0, 2048);
+
+  let referrerHost = null;
+  try {
+    referrerHost = referrer ? new URL(referrer).hostname : null;
+  } catch (error) {
+    referrerHost = null;
+  }
+
+  const utm = {};
+  try {
+    const pageUrl = new URL(String(body.url || ""));
+    UTM_FIELDS.forEach((field) => {
+      const value = pageUrl.searchParams.get(`utm_${field}`);
+      if (value) utm[field] = value.slice(0, 200);
+    });
+  } catch (error) {
+    // No page URL, no UTM parameters
+  }
+
+  return { referrer: referrer || null, referrerHost, utm };
+}
+
+// Claim a view for a visitor. Returns false if they already viewed the post
+// inside the dedupe window. The lock document's unique _id makes this
+// atomic: a second claim either matches an expired lock or hits a
+// duplicate key error.
+async function claimView(database, visitorHash, blogId) {
+  const now = new Date();
+
+  try {
+    await database.collection("analytics_view_locks").updateOne(
+      { _id: `${visitorHash}:${blogId}`, expiresAt: { $lte: now } },
+      {
+        $set: {
+          expiresAt: new Date(now.getTime() + VIEW_DEDUPE_MINUTES * 60 * 1000),
+        },
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Events are keyed by blogId, which survives slug changes
+async function recordAnalyticsEvent(database, req, { type, blog, visitorHash }) {
+  await database.collection("analytics_events").insertOne({
+    type,
+    blogId: blog._id.toString(),
+    category: blog.category || null,
+    visitorHash,
+    ...trafficSource(req),
+    createdAt: new Date(),
+  });
+}
+
+// Aggregate raw events into hourly or daily buckets. Whole buckets are
+// recomputed, so re-running a range is safe.
+async function rollupAnalytics(database, granularity, from, to) {
+  const unit = granularity === "hour" ? "hour" : "day";
+  const start = truncateDate(from, unit);
+
+  // Stretch the end to a bucket boundary so no bucket is rebuilt half-full
+  const end = truncateDate(to, unit);
+  if (end < to) {
+    end.setTime(end.getTime() + (unit === "hour" ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000));
+  }
+
+  await database
+    .collection("analytics_events")
+    .aggregate([
+      { $match: { createdAt: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: {
+            blogId: "$blogId",
+            bucket: { $dateTrunc: { date: "$createdAt", unit } },
+          },
+          views: { $sum: { $cond: [{ $eq: ["$type", "view"] }, 1, 0] } },
+          likes: { $sum: { $cond: [{ $eq: ["$type", "like"] }, 1, 0] } },
+          unlikes: { $sum: { $cond: [{ $eq: ["$type", "unlike"] }, 1, 0] } },
+          visitors: {
+            $addToSet: {
+              $cond: [{ $eq: ["$type", "view"] }, "$visitorHash", "$$REMOVE"],
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          blogId: "$_id.blogId",
+          bucket: "$_id.bucket",
+          views: 1,
+          likes: 1,
+          unlikes: 1,
+          uniqueVisitors: { $size: "$visitors" },
+          updatedAt: "$$NOW",
+        },
+      },
+      {
+        $merge: {
+          into: ROLLUP_COLLECTIONS[unit],
+          on: "_id",
+          whenMatched: "replace",
+          whenNotMatched: "insert",
+        },
+      },
+    ])
+    .toArray();
+}
+
+// Keep today's and yesterday's buckets fresh for the read endpoints
+async function refreshRecentRollups(database) {
+  const now = Date.now();
+  if (now - lastRollupRefresh < ROLLUP_REFRESH_MS) return;
+  lastRollupRefresh = now;
+
+  const since = new Date(now - 48 * 60 * 60 * 1000);
+  await Promise.all([
+    rollupAnalytics(database, "hour", since, new Date(now)),
+    rollupAnalytics(database, "day", since, new Date(now)),
+  ]);
+}
+
+function truncateDate(date, unit) {
+  const truncated = new Date(date);
+  truncated.setUTCMinutes(0, 0, 0);
+  if (unit === "day") truncated.setUTCHours(0);
+  return truncated;
+}
+
+// ?from=&to= for analytics endpoints, defaulting to the last 30 days
+function parseDateRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: "Invalid 'from' or 'to' date" };
+  }
+  if (from >= to) {
+    return { error: "'from' must be before 'to'" };
+  }
+  if (to - from > MAX_ANALYTICS_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Range can be at most ${MAX_ANALYTICS_RANGE_DAYS} days` };
+  }
+
+  return { from, to };
+}
+
+// A post by its current slug or one it had before, so analytics for a
+// renamed post can still be looked up by the old slug
+async function findAnalyticsBlog(database, slug, projection) {
+  const clientsCollection = database.collection("clients_info");
+  const blog = await clientsCollection.findOne({ slug }, { projection });
+  if (blog) return blog;
+
+  const history = await database
+    .collection("slug_history")
+    .findOne({ oldSlug: slug });
+  return history && ObjectId.isValid(history.blogId)
+    ? clientsCollection.findOne({ _id: new ObjectId(history.blogId) }, { projection })
+    : null;
+}
+
+// Distinct viewers per post over a range. Daily rollups can't be added up
+// for this - a visitor who comes back on another day would count twice -
+// so it's worked out from the raw events. With blogIds, only those posts;
+// without, the top `limit` posts.
+async function uniqueVisitorsByBlog(database, range, { blogIds, limit }) {
+  const match = { type: "view", createdAt: { $gte: range.from, $lt: range.to } };
+  if (blogIds) match.blogId = { $in: blogIds };
+
+  return database
+    .collection("analytics_events")
+    .aggregate([
+      { $match: match },
+      { $group: { _id: "$blogId", visitors: { $addToSet: "$visitorHash" } } },
+      { $project: { uniqueVisitors: { $size: "$visitors" } } },
+      ...(blogIds ? [] : [{ $sort: { uniqueVisitors: -1 } }, { $limit: limit }]),
+    ])
+    .toArray();
+}
+
+// Middleware: allow Vercel Cron (Authorization: Bearer CRON_SECRET) or an admin
+async function authenticateCronOrAdmin(req, res, next) {
+  const cronSecret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || "";
+
+  if (cronSecret && header === `Bearer ${cronSecret}`) {
+    return next();
+  }
+
+  return authenticate(req, res, () =>
+    requireRole("admin")(req, res, next)
+  );
+}
+
+// ======================
+// REACTIONS
+// ======================
+
+// One document per (target, user) in the reactions collection holding the
+// user's current reaction type. The unique index makes reactions atomic:
+// findOneAndUpdate hands back the previous document, so exactly the request
+// that changed a reaction moves the counters on the post or comment.
+
+// "like" is always available - the legacy like/unlike endpoints alias it
+const REACTION_TYPES = [
+  ...new Set([
+    "like",
+    ...parseListParam(
+      process.env.REACTION_TYPES || "love,insightful,funny"
+    ).map((type) => type.toLowerCase()),
+  ]),
+];
+
+const reactionSchemas = {
+  // type: null clears the caller's reaction
+  set: {
+    type: { type: "string", required: true, nullable: true, enum: REACTION_TYPES },
+    userIdentifier: { type: "string", maxLength: 100 },
+  },
+};
+
+// The caller's identifier for reactions: body, x-user-id header or query string
+function getRequestIdentity(req) {
+  const body = req.body || {};
+  const identity =
+    body.userIdentifier ||
+    body.userId ||
+    req.headers["x-user-id"] ||
+    req.query.userIdentifier;
+
+  return identity ? String(identity).slice(0, 100) : null;
+}
+
+// Likes keep their top-level counter so sorting by most_liked and clients
+// reading `likes` keep working; other types live under reactionCounts
+function reactionCounterField(type) {
+  return type === "like" ? "likes" : `reactionCounts.${type}`;
+}
+
+// Per-type counts for a post or comment, zero-filled for every type
+function reactionCountsOf(doc) {
+  const stored = doc.reactionCounts || {};
+  return Object.fromEntries(
+    REACTION_TYPES.map((type) => [
+      type,
+      Math.max(0, (type === "like" ? doc.likes : stored[type]) || 0),
+    ])
+  );
+}
+
+// Count a target's reactions by type, as the likes and reactionCounts
+// fields to store on it
+async function countReactions(database, targetType, targetId) {
+  const counts = await database
+    .collection("reactions")
+    .aggregate([
+      { $match: { targetType, targetId: targetId.toString() } },
+      { $group: { _id: "$type", count: { $sum: 1 } } },
+    ])
+    .toArray();
+  const byType = Object.fromEntries(counts.map((entry) => [entry._id, entry.count]));
+
+  return {
+    likes: byType.like || 0,
+    reactionCounts: Object.fromEntries(
+      REACTION_TYPES.filter((type) => type !== "like").map((type) => [
+        type,
+        byType[type] || 0,
+      ])
+    ),
+  };
+}
+
+// Move a post's or comment's legacy likedBy array into the reactions
+// collection and recount its reactions. Reactions call this first, so
+// legacy likes can be toggled before the likes-to-reactions migration has
+// run. Returns the updated document, or null if there was nothing to move.
+async function migrateLegacyLikes(database, targetType, targetId) {
+  const collection = database.collection(
+    targetType === "comment" ? "comments" : "clients_info"
+  );
+  const doc = await collection.findOne(
+    { _id: targetId, likedBy: { $exists: true } },
+    { projection: { likedBy: 1 } }
+  );
+  if (!doc) return null;
+
+  const userIds = [...new Set(doc.likedBy || [])].filter(Boolean);
+  if (userIds.length > 0) {
+    await database.collection("reactions").bulkWrite(
+      userIds.map((userId) => ({
+        updateOne: {
+          filter: { targetType, targetId: targetId.toString(), userId: String(userId) },
+          update: { $setOnInsert: { type: "like", createdAt: new Date() } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  // The reactions collection is now the source of truth for the counts.
+  // When requests race, only the first to get here stores its count, which
+  // was taken before any of their own reactions were added.
+  const counts = await countReactions(database, targetType, targetId);
+  return collection.findOneAndUpdate(
+    { _id: targetId, likedBy: { $exists: true } },
+    { $set: counts, $unset: { likedBy: "" } },
+    { returnDocument: "after" }
+  );
+}
+
+// Set the user's reaction on a target, or clear it when type is null.
+// onlyType limits clearing to a reaction of that type (used by "unlike").
+// Returns the previous and current type plus the $inc for the target.
+async function setReaction(database, targetType, targetId, userId, type, onlyType) {
+  const reactionsCollection = database.collection("reactions");
+  const key = { targetType, targetId: targetId.toString(), userId };
+  let previous;
+
+  if (type === null) {
+    previous = await reactionsCollection.findOneAndDelete(
+      onlyType ? { ...key, type: onlyType } : key
+    );
+  } else {
+    const update = {
+      $set: { type, updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() },
+    };
+
+    try {
+      previous = await reactionsCollection.findOneAndUpdate(key, update, {
+        upsert: true,
+        returnDocument: "before",
+      });
+    } catch (error) {
+      // Two first reactions raced on the upsert; the loser updates instead
+      if (error.code !== 11000) throw error;
+      previous = await reactionsCollection.findOneAndUpdate(key, update, {
+        returnDocument: "before",
+      });
+    }
+  }
+
+  const previousType = previous ? previous.type : null;
+  const inc = {};
+
+  if (previous && previousType !== type) {
+    inc[reactionCounterField(previousType)] = -1;
+  }
+  if (type !== null && previousType !== type) {
+    inc[reactionCounterField(type)] = 1;
+  }
+
+  return { previous: previousType, current: type, inc };
+}
+
+// Change a reaction and move the target's counters to match. Returns the
+// (possibly updated) target with the caller's reaction before and after.
+async function applyReaction(database, targetType, target, userId, type, onlyType) {
+  const collection = database.collection(
+    targetType === "comment" ? "comments" : "clients_info"
+  );
+
+  const migrated = await migrateLegacyLikes(database, targetType, target._id);
+  if (migrated) {
+    target = { ...target, likes: migrated.likes, reactionCounts: migrated.reactionCounts };
+  }
+
+  const { previous, current, inc } = await setReaction(
+    database,
+    targetType,
+    target._id,
+    userId,
+    type,
+    onlyType
+  );
+
+  if (Object.keys(inc).length === 0) {
+    return { target, previous, current, changed: false };
+  }
+
+  const updated = await collection.findOneAndUpdate(
+    { _id: target._id },
+    { $inc: inc },
+    { returnDocument: "after" }
+  );
+
+  return { target: updated || target, previous, current, changed: true };
+}
+
+// Counts plus the caller's own reaction, as returned by the API
+function reactionSummary(doc, userReaction) {
+  const reactions = reactionCountsOf(doc);
+  return {
+    likes: reactions.like,
+    reactions,
+    userReaction: userReaction || null,
+    isLiked: userReaction === "like",
+  };
+}
+
+// Map of target id -> the user's reaction type for the given targets
+async function findUserReactions(database, targetType, targetIds, userId) {
+  if (!userId || targetIds.length === 0) return new Map();
+
+  const reactions = await database
+    .collection("reactions")
+    .find(
+      { targetType, targetId: { $in: targetIds }, userId },
+      { projection: { targetId: 1, type: 1 } }
+    )
+    .toArray();
+
+  return new Map(
+    reactions.map((reaction) => [reaction.targetId, reaction.type])
+  );
+}
+
+// Add per-type counts and the viewer's reaction to a comment tree
+async function annotateCommentReactions(database, comments, userId) {
+  const all = [];
+  const collect = (list) =>
+    list.forEach((comment) => {
+      all.push(comment);
+      collect(comment.replies || []);
+    });
+  collect(comments);
+
+  const userReactions = await findUserReactions(
+    database,
+    "comment",
+    all.map((comment) => comment._id.toString()),
+    userId
+  );
+
+  all.forEach((comment) => {
+    const summary = reactionSummary(
+      comment,
+      userReactions.get(comment._id.toString())
+    );
+    delete comment.likedBy;
+    delete comment.reactionCounts;
+    Object.assign(comment, summary);
+  });
+}
+
+// Push reaction changes to live subscribers; like changes also go out on
+// the older *.likes events
+function emitReactionEvents(slug, targetType, result) {
+  const { likes, reactions } = reactionSummary(result.target);
+  const likeChanged = result.previous === "like" || result.current === "like";
+
+  if (targetType === "comment") {
+    const commentId = result.target._id.toString();
+    emitBlogEvent(slug, "comment.reactions", { commentId, likes, reactions });
+    if (likeChanged) emitBlogEvent(slug, "comment.likes", { commentId, likes });
+  } else {
+    emitBlogEvent(slug, "blog.reactions", { likes, reactions });
+    if (likeChanged) emitBlogEvent(slug, "blog.likes", { likes });
+  }
+}
+
+// Like/unlike on posts still feed the analytics like counts
+async function recordReactionAnalytics(database, req, blog, result) {
+  const visitorHash = hashVisitor(req, getRequestIdentity(req));
+
+  if (result.previous === "like") {
+    await recordAnalyticsEvent(database, req, { type: "unlike", blog, visitorHash });
+  }
+  if (result.current === "like") {
+    await recordAnalyticsEvent(database, req, { type: "like", blog, visitorHash });
+  }
+}
+
+// ======================
+// SEARCH HELPERS
+// ======================
+
+const SNIPPET_LENGTH = 160;
+
+// Escape text before sending it back as HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Drop HTML tags and collapse whitespace
+function stripHtml(value) {
+  return String(value || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Words from the search query worth highlighting (skips negated terms)
+function getSearchTerms(q) {
+  return String(q)
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => term.replace(/["']/g, ""))
+    .filter((term) => term.length > 1);
+}
+
+// Escape text and wrap matching terms in <mark>
+function highlightTerms(text, terms) {
+  const escaped = escapeHtml(text);
+  if (terms.length === 0) return escaped;
+
+  const pattern = new RegExp(
+    `(${terms.map((term) => escapeRegex(escapeHtml(term))).join("|")})`,
+    "gi"
+  );
+  return escaped.replace(pattern, "<mark>$1</mark>");
+}
+
+// Cut a window of text around the first matching term and highlight it
+function buildSnippet(text, terms, length = SNIPPET_LENGTH) {
+  const plain = stripHtml(text);
+  if (!plain) return "";
+
+  const lower = plain.toLowerCase();
+  const positions = terms
+    .map((term) => lower.indexOf(term.toLowerCase()))
+    .filter((index) => index >= 0);
+  const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(firstMatch - Math.floor(length / 3), 0);
+  const end = Math.min(start + length, plain.length);
+
+  let snippet = plain.slice(start, end);
+  if (start > 0) snippet = `…${snippet}`;
+  if (end < plain.length) snippet = `${snippet}…`;
+
+  return highlightTerms(snippet, terms);
+}
+
+// ======================
+// FEEDS
+// ======================
+
+// Site links in feeds point at the front end; SITE_URL falls back to the
+// origin the request came in on
+const FEED_CONFIG = {
+  title: process.env.FEED_TITLE || "Bee Agency Blog",
+  description: process.env.FEED_DESCRIPTION || "Latest posts from the agency",
+  siteUrl: process.env.SITE_URL,
+  postPath: process.env.FEED_POST_PATH || "/blogs/",
+  limit: parseInt(process.env.FEED_LIMIT, 10) || 20,
+};
+
+const FEED_PROJECTION = {
+  title: 1,
+  slug: 1,
+  excerpt: 1,
+  content: 1,
+  contentHtml: 1,
+  contentFormat: 1,
+  coverImage: 1,
+  author: 1,
+  authorImage: 1,
+  date: 1,
+  tags: 1,
+  category: 1,
+  publishedAt: 1,
+  createdAt: 1,
+  updatedAt: 1,
+};
+
+function requestOrigin(req) {
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+function siteUrl(req) {
+  return (FEED_CONFIG.siteUrl || requestOrigin(req)).replace(/\/+$/, "");
+}
+
+// Public URL of a post on the front end
+function postUrl(req, blog) {
+  return `${siteUrl(req)}${FEED_CONFIG.postPath}${encodeURIComponent(blog.slug)}`;
+}
+
+// First valid date out of the candidates
+function firstDate(...values) {
+  for (const value of values) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) return date;
+  }
+  return new Date();
+}
+
+// Wrap text in CDATA, splitting any "]]>" inside it
+function cdata(value) {
+  return `<![CDATA[${String(value || "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+// Normalise a post into the fields every feed format needs
+function toFeedItem(req, blog) {
+  const url = postUrl(req, blog);
+  const published = firstDate(blog.date, blog.publishedAt, blog.createdAt);
+
+  return {
+    id: url,
+    url,
+    title: blog.title || "",
+    summary: blog.excerpt || "",
+    content:
+      blog.contentHtml ||
+      renderPostContent(blog.content, blog.contentFormat || DEFAULT_CONTENT_FORMAT).contentHtml ||
+      blog.excerpt ||
+      "",
+    image: blog.coverImage || null,
+    author: blog.author || null,
+    authorImage: blog.authorImage || null,
+    categories: [...new Set([blog.category, ...(blog.tags || [])].filter(Boolean))],
+    tags: blog.tags || [],
+    published,
+    modified: firstDate(blog.updatedAt, published),
+  };
+}
+
+function renderRssFeed(feed) {
+  const items = feed.items.map((item) =>
+    [
+      "    <item>",
+      `      <title>${escapeHtml(item.title)}</title>`,
+      `      <link>${escapeHtml(item.url)}</link>`,
+      `      <guid isPermaLink="true">${escapeHtml(item.id)}</guid>`,
+      `      <description>${cdata(item.summary)}</description>`,
+      `      <content:encoded>${cdata(item.content)}</content:encoded>`,
+      item.author && `      <dc:creator>${escapeHtml(item.author)}</dc:creator>`,
+      `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+      ...item.categories.map(
+        (category) => `      <category>${escapeHtml(category)}</category>`
+      ),
+      item.image &&
+        `      <media:content url="${escapeHtml(item.image)}" medium="image" />`,
+      "    </item>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    "  <channel>",
+    `    <title>${escapeHtml(feed.title)}</title>`,
+    `    <link>${escapeHtml(feed.homeUrl)}</link>`,
+    `    <description>${escapeHtml(feed.description)}</description>`,
+    `    <atom:link href="${escapeHtml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+  ].join("\n");
+}
+
+function renderAtomFeed(feed) {
+  const entries = feed.items.map((item) =>
+    [
+      "  <entry>",
+      `    <title>${escapeHtml(item.title)}</title>`,
+      `    <id>${escapeHtml(item.id)}</id>`,
+      `    <link rel="alternate" href="${escapeHtml(item.url)}" />`,
+      `    <published>${item.published.toISOString()}</published>`,
+      `    <updated>${item.modified.toISOString()}</updated>`,
+      item.author &&
+        `    <author><name>${escapeHtml(item.author)}</name></author>`,
+      `    <summary type="html">${escapeHtml(item.summary)}</summary>`,
+      `    <content type="html">${escapeHtml(item.content)}</content>`,
+      ...item.categories.map(
+        (category) => `    <category term="${escapeHtml(category)}" />`
+      ),
+      item.image &&
+        `    <link rel="enclosure" href="${escapeHtml(item.image)}" />`,
+      "  </entry>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  // The feed-level author covers entries that don't name one
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeHtml(feed.title)}</title>`,
+    `  <subtitle>${escapeHtml(feed.description)}</subtitle>`,
+    `  <id>${escapeHtml(feed.feedUrl)}</id>`,
+    `  <link rel="self" href="${escapeHtml(feed.feedUrl)}" />`,
+    `  <link rel="alternate" href="${escapeHtml(feed.homeUrl)}" />`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <author><name>${escapeHtml(FEED_CONFIG.title)}</name></author>`,
+    ...entries,
+    "</feed>",
+  ].join("\n");
+}
+
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    items: feed.items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary || undefined,
+      content_html: item.content,
+      image: item.image || undefined,
+      date_published: item.published.toISOString(),
+      date_modified: item.modified.toISOString(),
+      authors: item.author
+        ? [{ name: item.author, avatar: item.authorImage || undefined }]
+        : undefined,
+      tags: item.categories.length > 0 ? item.categories : undefined,
+    })),
+  });
+}
+
+const FEED_FORMATS = {
+  "feed.xml": {
+    contentType: "application/rss+xml; charset=utf-8",
+    render: renderRssFeed,
+  },
+  "atom.xml": {
+    contentType: "application/atom+xml; charset=utf-8",
+    render: renderAtomFeed,
+  },
+  "feed.json": {
+    contentType: "application/feed+json; charset=utf-8",
+    render: renderJsonFeed,
+  },
+};
+
+// Site-wide feeds plus per-category and per-tag variants
+const FEED_SCOPES = ["", "/categories/:category", "/tags/:tag"];
+
+// Newest updatedAt (or createdAt) among the matching posts
+async function latestUpdate(collection, filter) {
+  const [latest] = await collection
+    .find(filter, { projection: { updatedAt: 1, createdAt: 1 } })
+    .sort({ updatedAt: -1, createdAt: -1 })
+    .limit(1)
+    .toArray();
+
+  return latest ? firstDate(latest.updatedAt, latest.createdAt) : new Date(0);
+}
+
+// Version of a list of the posts matching `filter`. The newest change to
+// any post catches posts leaving the list (trashed, unpublished), which
+// the list's own updatedAt can't show; the count catches scheduled posts
+// coming due, which happens without a write.
+async function listVersion(collection, filter) {
+  const [changed, count] = await Promise.all([
+    latestUpdate(collection, {}),
+    collection.countDocuments(filter),
+  ]);
+
+  return { changed, count, version: `${changed.getTime()}:${count}` };
+}
+
+// Set ETag from `version`, which must change whenever the response does,
+// and Last-Modified from the newest change. Returns true when the client's
+// copy is still fresh and a 304 should be sent.
+function setCacheHeaders(req, res, updated, version = updated.getTime()) {
+  const etag = crypto
+    .createHash("sha1")
+    .update(`${req.originalUrl}:${version}`)
+    .digest("hex");
+
+  res.set({
+    "Cache-Control": "public, max-age=300",
+    ETag: `"${etag}"`,
+    "Last-Modified": updated.toUTCString(),
+  });
+
+  return req.fresh;
+}
+
+// ======================
+// SEO
+// ======================
+
+const SEO_CONFIG = {
+  siteName: process.env.SITE_NAME || FEED_CONFIG.title,
+  twitterSite: process.env.TWITTER_SITE || null,
+  // Post URLs per sitemap file before /sitemap.xml becomes an index
+  sitemapPageSize: Math.min(
+    parseInt(process.env.SITEMAP_PAGE_SIZE, 10) || 5000,
+    50000
+  ),
+  // ROBOTS_TXT replaces the generated file entirely
+  robotsTxt: process.env.ROBOTS_TXT || null,
+  robotsDisallow: parseListParam(
+    process.env.ROBOTS_DISALLOW ||
+      "/auth,/users,/admin,/moderation,/analytics,/trash"
+  ),
+};
+
+// Public posts that haven't opted out of indexing
+function sitemapFilter() {
+  return withVisibility({ noindex: { $ne: true } }, publicBlogFilter());
+}
+
+function renderSitemap(entries) {
+  const urls = entries.map((entry) =>
+    [
+      "  <url>",
+      `    <loc>${escapeHtml(entry.loc)}</loc>`,
+      entry.lastmod && `    <lastmod>${entry.lastmod.toISOString()}</lastmod>`,
+      "  </url>",
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    "</urlset>",
+  ].join("\n");
+}
+
+function renderSitemapIndex(locations, lastmod) {
+  const sitemaps = locations.map((loc) =>
+    [
+      "  <sitemap>",
+      `    <loc>${escapeHtml(loc)}</loc>`,
+      `    <lastmod>${lastmod.toISOString()}</lastmod>`,
+      "  </sitemap>",
+    ].join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps,
+    "</sitemapindex>",
+  ].join("\n");
+}
+
+function buildRobotsTxt(req) {
+  if (SEO_CONFIG.robotsTxt) {
+    return SEO_CONFIG.robotsTxt.replace(/\\n/g, "\n");
+  }
+
+  return [
+    "User-agent: *",
+    ...SEO_CONFIG.robotsDisallow.map((path) => `Disallow: ${path}`),
+    "",
+    `Sitemap: ${requestOrigin(req)}/sitemap.xml`,
+    "",
+  ].join("\n");
+}
+
+// Open Graph, Twitter Card and JSON-LD for a post. The SEO override fields
+// win over the title, excerpt and post URL.
+function buildPostMeta(req, blog) {
+  const url = postUrl(req, blog);
+  const canonicalUrl = blog.canonicalUrl || url;
+  const title = blog.metaTitle || blog.title;
+  const description =
+    blog.metaDescription ||
+    blog.excerpt ||
+    stripHtml(blog.content).slice(0, SNIPPET_LENGTH);
+  const image = blog.coverImage || null;
+  const published = firstDate(blog.date, blog.publishedAt, blog.createdAt);
+  const modified = firstDate(blog.updatedAt, published);
+  const tags = blog.tags || [];
+
+  const openGraph = {
+    "og:type": "article",
+    "og:site_name": SEO_CONFIG.siteName,
+    "og:title": title,
+    "og:description": description,
+    "og:url": canonicalUrl,
+    "og:image": image,
+    "article:published_time": published.toISOString(),
+    "article:modified_time": modified.toISOString(),
+    "article:author": blog.author || null,
+    "article:section": blog.category || null,
+    "article:tag": tags,
+  };
+
+  const twitter = {
+    "twitter:card": image ? "summary_large_image" : "summary",
+    "twitter:site": SEO_CONFIG.twitterSite,
+    "twitter:title": title,
+    "twitter:description": description,
+    "twitter:image": image,
+  };
+
+  const jsonLd = {
+    "@context": "https://schema.org",
+    "@type": "BlogPosting",
+    headline: title,
+    description,
+    image: image ? [image] : undefined,
+    datePublished: published.toISOString(),
+    dateModified: modified.toISOString(),
+    author: blog.author
+      ? {
+          "@type": "Person",
+          name: blog.author,
+          image: blog.authorImage || undefined,
+        }
+      : undefined,
+    publisher: { "@type": "Organization", name: SEO_CONFIG.siteName },
+    mainEntityOfPage: { "@type": "WebPage", "@id": canonicalUrl },
+    articleSection: blog.category || undefined,
+    keywords: tags.length > 0 ? tags.join(", ") : undefined,
+  };
+
+  return {
+    title,
+    description,
+    canonicalUrl,
+    robots: blog.noindex ? "noindex, nofollow" : "index, follow",
+    openGraph,
+    twitter,
+    jsonLd,
+  };
+}
+
+// Health check endpoint
+app.get("/status", async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    await database.command({ ping: 1 });
+    res.json({
+      success: true,
+      message: "Database connected successfully",
+      timestamp: new Date(),
+      environment: process.env.NODE_ENV || "development",
+    });
+  } catch (error) {
+    res.status(503).json({
+      success: false,
+      message: "Database connection failed",
+      error: error.message,
+    });
+  }
+});
+
+// ======================
+// RECOMMENDATIONS
+// ======================
+
+// Related posts are scored in an aggregation pipeline: shared tags, same
+// category and shared title/excerpt keywords decide relevance, then views
+// and likes break ties.
+const RELATED_CONFIG = {
+  defaultLimit: 5,
+  maxLimit: 20,
+  weights: { tag: 3, category: 2, keyword: 1, views: 0.5, likes: 1 },
+  // Cached results per instance; entries die when any post changes
+  cacheSize: 500,
+};
+
+const STOP_WORDS = new Set([
+  "about", "after", "also", "been", "before", "being", "could", "does",
+  "from", "have", "here", "into", "just", "like", "make", "more", "most",
+  "only", "other", "over", "some", "than", "that", "their", "them", "then",
+  "there", "these", "they", "this", "what", "when", "which", "will", "with",
+  "your", "yours",
+]);
+
+const relatedCache = new Map();
+
+// Distinct meaningful words of a text, as the pipeline tokenizes them
+function extractKeywords(text) {
+  const words = String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+  return [
+    ...new Set(words.filter((word) => word.length > 3 && !STOP_WORDS.has(word))),
+  ].slice(0, 30);
+}
+
+function relatedPostsPipeline(blog, limit) {
+  const weights = RELATED_CONFIG.weights;
+  const tagSlugs = blog.tagSlugs || (blog.tags || []).map(slugify);
+  const categorySlug =
+    blog.categorySlug || (blog.category ? slugify(blog.category) : null);
+  const keywords = extractKeywords(`${blog.title} ${blog.excerpt}`);
+
+  const candidateWords = {
+    $map: {
+      input: {
+        $regexFindAll: {
+          input: {
+            $toLower: {
+              $concat: [
+                { $ifNull: ["$title", ""] },
+                " ",
+                { $ifNull: ["$excerpt", ""] },
+              ],
+            },
+          },
+          regex: "[a-z0-9]+",
+        },
+      },
+      as: "word",
+      in: "$$word.match",
+    },
+  };
+
+  return [
+    { $match: withVisibility({ _id: { $ne: blog._id } }, publicBlogFilter()) },
+    {
+      $project: {
+        title: 1,
+        slug: 1,
+        excerpt: 1,
+        coverImage: 1,
+        author: 1,
+        authorImage: 1,
+        date: 1,
+        category: 1,
+        tags: 1,
+        readingTime: 1,
+        views: 1,
+        likes: 1,
+        createdAt: 1,
+        sharedTags: {
+          $size: {
+            $setIntersection: [{ $ifNull: ["$tagSlugs", []] }, tagSlugs],
+          },
+        },
+        sameCategory: categorySlug
+          ? { $cond: [{ $eq: ["$categorySlug", categorySlug] }, 1, 0] }
+          : { $literal: 0 },
+        sharedKeywords: {
+          $size: { $setIntersection: [candidateWords, keywords] },
+        },
+      },
+    },
+    {
+      $addFields: {
+        relevance: {
+          $add: [
+            { $multiply: ["$sharedTags", weights.tag] },
+            { $multiply: ["$sameCategory", weights.category] },
+            { $multiply: ["$sharedKeywords", weights.keyword] },
+          ],
+        },
+      },
+    },
+    { $match: { relevance: { $gt: 0 } } },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            "$relevance",
+            {
+              $multiply: [
+                { $log10: { $add: [{ $max: [{ $ifNull: ["$views", 0] }, 0] }, 1] } },
+                weights.views,
+              ],
+            },
+            {
+              $multiply: [
+                { $log10: { $add: [{ $max: [{ $ifNull: ["$likes", 0] }, 0] }, 1] } },
+                weights.likes,
+              ],
+            },
+          ],
+        },
+      },
+    },
+    { $sort: { score: -1, createdAt: -1, _id: -1 } },
+    { $limit: limit },
+  ];
+}
+
+// Related posts, cached until any post's updatedAt moves on
+async function getRelatedPosts(database, blog, limit) {
+  const clientsCollection = database.collection("clients_info");
+  const version = (await latestUpdate(clientsCollection, {})).getTime();
+  const key = `${blog._id}:${limit}`;
+
+  const cached = relatedCache.get(key);
+  if (cached && cached.version === version) {
+    return cached.posts;
+  }
+
+  const posts = await clientsCollection
+    .aggregate(relatedPostsPipeline(blog, limit))
+    .toArray();
+
+  // Re-inserting keeps the Map in least-recently-computed order
+  relatedCache.delete(key);
+  relatedCache.set(key, { version, posts });
+  if (relatedCache.size > RELATED_CONFIG.cacheSize) {
+    relatedCache.delete(relatedCache.keys().next().value);
+  }
+
+  return posts;
+}
+
+// ======================
+// AUTHORS
+// ======================
+
+// Author profiles live in the authors collection. Posts reference them by
+// authorId and keep a copy of the name and avatar in author/authorImage,
+// which is refreshed whenever the profile changes.
+const AUTHOR_SOCIAL_LINKS = ["website", "twitter", "linkedin", "github", "facebook", "instagram"];
+
+const authorSchemas = {
+  create: {
+    name: { type: "string", required: true, maxLength: 100 },
+    slug: {
+      type: "string",
+      maxLength: 120,
+      pattern: SLUG_PATTERN,
+      patternMessage: "must be lowercase letters, numbers and single hyphens",
+    },
+    bio: { type: "string", maxLength: 2000, allowEmpty: true },
+    avatar: { type: "string", format: "url", maxLength: 2048, allowEmpty: true },
+    email: { type: "string", format: "email", maxLength: 254, allowEmpty: true },
+    // Login account this profile belongs to
+    userId: { type: "objectId", nullable: true },
+    ...Object.fromEntries(
+      AUTHOR_SOCIAL_LINKS.map((network) => [
+        network,
+        {
+          type: "string",
+          format: "url",
+          maxLength: 2048,
+          allowEmpty: true,
+          storedAs: `socialLinks.${network}`,
+        },
+      ])
+    ),
+  },
+};
+
+authorSchemas.update = partialSchema(authorSchemas.create);
+
+// Validated request fields keyed by where they're stored (socialLinks.x)
+function authorUpdateFields(value) {
+  return Object.fromEntries(
+    Object.entries(value).map(([field, fieldValue]) => [
+      authorSchemas.create[field].storedAs || field,
+      fieldValue,
+    ])
+  );
+}
+
+// Find an author by slug or a previous slug
+function findAuthor(database, slug) {
+  return database
+    .collection("authors")
+    .findOne({ $or: [{ slug }, { aliases: slug }] });
+}
+
+// The fields a post stores for its author
+function authorFields(author, fallbackImage) {
+  return {
+    authorId: author._id.toString(),
+    author: author.name,
+    authorImage: author.avatar || fallbackImage || "",
+  };
+}
+
+// Work out the author for a blog write. An authorId has to exist; a name
+// finds the author with that slug, creating the profile on first use; with
+// neither, the logged in user's own profile is used. Returns null for an
+// unknown authorId. Users with the author role always get their own profile;
+// check what they asked for with authorChoiceError first.
+async function resolveAuthor(database, { authorId, author, authorImage }, user) {
+  const authorsCollection = database.collection("authors");
+
+  if (user && user.role === "author") {
+    authorId = null;
+    author = null;
+  }
+
+  if (authorId) {
+    const found = await authorsCollection.findOne({ _id: new ObjectId(authorId) });
+    // Restored revisions may point at a deleted profile; fall back to the name
+    if (found || !author) return found;
+  }
+
+  if (!author && user) {
+    const own = await authorsCollection.findOne({ userId: user._id.toString() });
+    if (own) return own;
+  }
+
+  const name = String(author || (user && user.name) || "Unknown").trim();
+  const slug = slugify(name) || "author";
+  const existing = await findAuthor(database, slug);
+  if (existing) return existing;
+
+  const isUser = user && slugify(user.name || "") === slug;
+  const now = new Date();
+
+  try {
+    return await authorsCollection.findOneAndUpdate(
+      { slug },
+      {
+        $setOnInsert: {
+          name,
+          slug,
+          bio: "",
+          avatar: authorImage || "",
+          email: isUser ? user.email : "",
+          socialLinks: {},
+          aliases: [],
+          userId: isUser ? user._id.toString() : null,
+          createdAt: now,
+          updatedAt: now,
+        },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  } catch (error) {
+    // Another request created the same profile first
+    if (error.code !== 11000) throw error;
+    return authorsCollection.findOne({ slug });
+  }
+}
+
+// Users with the author role can only credit posts to their own profile,
+// by its id, slug or a previous slug. Returns a validation error or null.
+async function authorChoiceError(database, { authorId, author }, user) {
+  if (user.role !== "author" || (!authorId && !author)) return null;
+
+  const own = await database
+    .collection("authors")
+    .findOne({ userId: user._id.toString() });
+
+  if (authorId) {
+    if (own && own._id.toString() === String(authorId)) return null;
+    return { field: "authorId", message: "Authors can only post as themselves" };
+  }
+
+  const slug = slugify(String(author));
+  const isOwn = own
+    ? own.slug === slug || (own.aliases || []).includes(slug)
+    : slug === slugify(user.name || "");
+  if (isOwn) return null;
+  return { field: "author", message: "Authors can only post as themselves" };
+}
+
+// Admins and editors manage every profile, authors only their own
+function canEditAuthor(user, author) {
+  if (user.role === "admin" || user.role === "editor") {
+    return true;
+  }
+  return author.userId === user._id.toString();
+}
+
+// Published posts by an author. Posts saved before the authors-from-posts
+// migration are matched by name.
+function authorPostsFilter(author) {
+  return withVisibility(
+    {
+      $or: [
+        { authorId: author._id.toString() },
+        {
+          authorId: { $exists: false },
+          author: { $regex: `^${escapeRegex(author.name)}$`, $options: "i" },
+        },
+      ],
+    },
+    publicBlogFilter()
+  );
+}
+
+// Post count, total views and likes, first and latest post per author
+async function authorStats(database, filter) {
+  const [stats] = await database
+    .collection("clients_info")
+    .aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: null,
+          postCount: { $sum: 1 },
+          totalViews: { $sum: { $ifNull: ["$views", 0] } },
+          totalLikes: { $sum: { $ifNull: ["$likes", 0] } },
+          firstPostAt: { $min: "$createdAt" },
+          latestPostAt: { $max: "$createdAt" },
+        },
+      },
+      { $project: { _id: 0 } },
+    ])
+    .toArray();
+
+  return (
+    stats || {
+      postCount: 0,
+      totalViews: 0,
+      totalLikes: 0,
+      firstPostAt: null,
+      latestPostAt: null,
+    }
+  );
+}
+
+// ======================
+// MEDIA
+// ======================
+
+// Uploaded images go through a pluggable storage backend: "local" writes to
+// MEDIA_LOCAL_DIR and is served from /uploads, "s3" talks to any
+// S3-compatible service. Serverless hosts have no persistent disk, so on
+// Vercel the default is s3 and local storage is refused.
+const MEDIA_CONFIG = {
+  storage: process.env.MEDIA_STORAGE || (process.env.VERCEL ? "s3" : "local"),
+  maxBytes: Math.round((parseFloat(process.env.MEDIA_MAX_SIZE_MB) || 5) * 1024 * 1024),
+  // Widths of the resized copies; only sizes smaller than the original are made
+  variantWidths: parseListParam(process.env.MEDIA_VARIANT_WIDTHS || "320,640,1280")
+    .map((width) => parseInt(width, 10))
+    .filter((width) => width > 0),
+  localDir: path.resolve(process.env.MEDIA_LOCAL_DIR || "uploads"),
+  publicUrl: process.env.MEDIA_PUBLIC_URL || null,
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    publicUrl: process.env.S3_PUBLIC_URL || null,
+  },
+};
+
+// Formats we accept, keyed by mediaFormatName. SVG is left out on purpose -
+// it can carry scripts.
+const MEDIA_FORMATS = {
+  jpeg: { mimeType: "image/jpeg", extension: "jpg" },
+  png: { mimeType: "image/png", extension: "png" },
+  webp: { mimeType: "image/webp", extension: "webp" },
+  gif: { mimeType: "image/gif", extension: "gif" },
+  avif: { mimeType: "image/avif", extension: "avif" },
+  // Browsers can't show HEIC, so the original is stored as a JPEG
+  heic: { mimeType: "image/jpeg", extension: "jpg", convertTo: "jpeg" },
+};
+
+const mediaSchemas = {
+  update: {
+    alt: { type: "string", maxLength: 300, allowEmpty: true },
+    tags: {
+      type: "array",
+      maxItems: 20,
+      items: { type: "string", maxLength: 50 },
+    },
+  },
+};
+
+let s3Client = null;
+
+// The AWS SDK is only loaded when the s3 backend is used
+function getS3Client() {
+  if (!s3Client) {
+    const { S3Client } = require("@aws-sdk/client-s3");
+    s3Client = new S3Client({
+      region: MEDIA_CONFIG.s3.region,
+      endpoint: MEDIA_CONFIG.s3.endpoint,
+      forcePathStyle: MEDIA_CONFIG.s3.forcePathStyle,
+    });
+  }
+  return s3Client;
+}
+
+// Each backend stores and removes objects by key and knows their public URL
+const MEDIA_STORAGES = {
+  local: {
+    put: async (key, buffer) => {
+      const filePath = path.join(MEDIA_CONFIG.localDir, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    remove: async (key) => {
+      await fs.promises.rm(path.join(MEDIA_CONFIG.localDir, key), {
+        force: true,
+      });
+    },
+    url: (req, key) =>
+      `${(MEDIA_CONFIG.publicUrl || `${requestOrigin(req)}/uploads`).replace(/\/+$/, "")}/${key}`,
+  },
+
+  s3: {
+    put: async (key, buffer, mimeType) => {
+      const { PutObjectCommand } = require("@aws-sdk/client-s3");
+      await getS3Client().send(
+        new PutObjectCommand({
+          Bucket: MEDIA_CONFIG.s3.bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: mimeType,
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+    },
+    remove: async (key) => {
+      const { DeleteObjectCommand } = require("@aws-sdk/client-s3");
+      await getS3Client().send(
+        new DeleteObjectCommand({ Bucket: MEDIA_CONFIG.s3.bucket, Key: key })
+      );
+    },
+    url: (req, key) => {
+      const base =
+        MEDIA_CONFIG.s3.publicUrl ||
+        `https://${MEDIA_CONFIG.s3.bucket}.s3.${MEDIA_CONFIG.s3.region}.amazonaws.com`;
+      return `${base.replace(/\/+$/, "")}/${key}`;
+    },
+  },
+};
+
+function getMediaStorage(name = MEDIA_CONFIG.storage) {
+  const storage = MEDIA_STORAGES[name];
+  if (!storage) {
+    throw new Error(`Unknown media storage '${name}'`);
+  }
+  return storage;
+}
+
+// Why the configured storage can't be used, or null. Files written on
+// Vercel vanish with the instance, so local storage is refused there rather
+// than losing uploads. Only the media routes are turned off.
+const MEDIA_STORAGE_ERROR = !MEDIA_STORAGES[MEDIA_CONFIG.storage]
+  ? `Unknown media storage '${MEDIA_CONFIG.storage}'`
+  : process.env.VERCEL && MEDIA_CONFIG.storage === "local"
+    ? "MEDIA_STORAGE=local doesn't work on Vercel. Use s3"
+    : null;
+
+if (MEDIA_STORAGE_ERROR) {
+  console.error(`❌ ${MEDIA_STORAGE_ERROR}. Media uploads are disabled`);
+}
+
+// Middleware answering 503 on the media routes while storage is misconfigured
+function requireMediaStorage(req, res, next) {
+  if (!MEDIA_STORAGE_ERROR) return next();
+  res.status(503).json({
+    success: false,
+    message: "Media storage is not available",
+  });
+}
+
+// Multipart parsing keeps the file in memory; sharp checks the real type
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_CONFIG.maxBytes, files: 1 },
+});
+
+// Middleware parsing the "file" field with a multer instance, turning
+// multer errors into 400/413 responses
+function singleFileUpload(upload, maxBytes) {
+  return (req, res, next) => {
+    upload.single("file")(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError) {
+        return res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+          success: false,
+          message:
+            error.code === "LIMIT_FILE_SIZE"
+              ? `File is larger than ${maxBytes / 1024 / 1024}MB`
+              : error.message,
+        });
+      }
+      next(error);
+    });
+  };
+}
+
+const uploadSingleFile = singleFileUpload(mediaUpload, MEDIA_CONFIG.maxBytes);
+
+// sharp reports AVIF and HEIC both as "heif"; the compression tells them apart
+function mediaFormatName(metadata) {
+  if (metadata.format !== "heif") return metadata.format;
+  if (metadata.compression === "av1") return "avif";
+  if (metadata.compression === "hevc") return "heic";
+  return null;
+}
+
+// Read an upload with sharp. Returns null for anything that isn't an
+// accepted image, whatever the client claimed the type was.
+async function readImage(buffer) {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    const format = MEDIA_FORMATS[mediaFormatName(metadata)];
+    if (!format) return null;
+
+    // Reading the header doesn't mean the pixels can be decoded - sharp's
+    // prebuilt binaries can't decode HEVC, for one
+    if (format.convertTo) {
+      await sharp(buffer).resize(8).toBuffer();
+    }
+
+    return { ...format, metadata };
+  } catch (error) {
+    return null;
+  }
+}
+
+// The original (re-encoded without EXIF, except animated GIFs, and
+// converted where the format asks for it) plus WebP copies at each
+// configured width
+async function processImage(buffer, image) {
+  let original;
+  if (image.extension === "gif") {
+    original = {
+      data: buffer,
+      info: { width: image.metadata.width, height: image.metadata.height },
+    };
+  } else {
+    const pipeline = sharp(buffer).rotate();
+    if (image.convertTo) pipeline.toFormat(image.convertTo);
+    original = await pipeline.toBuffer({ resolveWithObject: true });
+  }
+
+  const variants = [];
+  for (const width of MEDIA_CONFIG.variantWidths) {
+    if (width >= original.info.width) continue;
+
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    variants.push({ width: info.width, height: info.height, data });
+  }
+
+  return { original, variants };
+}
+
+// Every URL a media document is reachable at
+function mediaUrls(media) {
+  return [media.url, ...(media.variants || []).map((variant) => variant.url)];
+}
+
+// Posts (including ones in the trash) that still use any of the URLs
+async function findMediaReferences(database, media) {
+  const urls = mediaUrls(media);
+
+  return database
+    .collection("clients_info")
+    .find(
+      {
+        $or: [
+          { coverImage: { $in: urls } },
+          { authorImage: { $in: urls } },
+          { content: { $regex: urls.map(escapeRegex).join("|") } },
+        ],
+      },
+      { projection: { title: 1, slug: 1, isDeleted: 1 } }
+    )
+    .toArray();
+}
+
+// Admins and editors manage the whole library, authors their own uploads
+function canManageMedia(user, media) {
+  if (user.role === "admin" || user.role === "editor") {
+    return true;
+  }
+  return media.uploadedBy === user._id.toString();
+}
+
+// Load the media item in req.params.id, sending 400/403/404 when it can't be
+// used. Returns null once a response has been sent.
+async function findManageableMedia(database, req, res) {
+  const { id } = req.params;
+
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid media id",
+    });
+    return null;
+  }
+
+  const media = await database
+    .collection("media")
+    .findOne({ _id: new ObjectId(id) });
+
+  if (!media) {
+    res.status(404).json({
+      success: false,
+      message: "Media not found",
+    });
+    return null;
+  }
+
+  if (!canManageMedia(req.user, media)) {
+    res.status(403).json({
+      success: false,
+      message: "You can only manage your own uploads",
+    });
+    return null;
+  }
+
+  return media;
+}
+
+// ======================
+// AUTH & USER ENDPOINTS
+// ======================
+
+// POST - Create the first admin account (only works while there are no users).
+// A guard document with a fixed _id makes sure only one of several
+// concurrent setup requests gets through.
+app.post("/auth/setup", validateBody(userSchemas.setup), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const usersCollection = database.collection("users");
+    const setupCollection = database.collection("setup");
+
+    const { name, email, password } = req.body;
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 8 characters",
+      });
+    }
+
+    const setupDone = {
+      success: false,
+      message: "Setup has already been completed",
+    };
+
+    const existingUsers = await usersCollection.countDocuments();
+    if (existingUsers > 0) {
+      return res.status(403).json(setupDone);
+    }
+
+    try {
+      await setupCollection.insertOne({ _id: "admin", createdAt: new Date() });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(403).json(setupDone);
+      }
+      throw error;
+    }
+
+    const newUser = {
+      name,
+      email: email.toLowerCase(),
+      passwordHash: await bcrypt.hash(password, 10),
+      role: "admin",
+      isActive: true,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    let result;
+    try {
+      result = await usersCollection.insertOne(newUser);
+    } catch (error) {
+      // Let setup be tried again
+      await setupCollection.deleteOne({ _id: "admin" });
+      throw error;
+    }
+    const user = { ...newUser, _id: result.insertedId };
+
+    res.status(201).json({
+      success: true,
+      message: "Admin account created successfully",
+      data: {
+        token: signAuthToken(user),
+        user: sanitizeUser(user),
+      },
+    });
+  } catch (error) {
+    console.error("Error during setup:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Log in and receive a signed token
+app.post("/auth/login", rateLimit("login"), validateBody(userSchemas.login), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const usersCollection = database.collection("users");
+
+    const { email, password } = req.body;
+
+    const user = await usersCollection.findOne({
+      email: email.toLowerCase(),
+      isActive: { $ne: false },
+    });
+
+    const passwordMatches = user
+      ? await bcrypt.compare(password, user.passwordHash)
+      : false;
+
+    if (!passwordMatches) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { lastLoginAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: "Logged in successfully",
+      data: {
+        token: signAuthToken(user),
+        user: sanitizeUser(user),
+      },
+    });
+  } catch (error) {
+    console.error("Error logging in:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - Current user
+app.get("/auth/me", authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: sanitizeUser(req.user),
+  });
+});
+
+// GET - List users (admin only)
+app.get("/users", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const usersCollection = database.collection("users");
+
+    const users = await usersCollection
+      .find()
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      data: users.map(sanitizeUser),
+      count: users.length,
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Create a user (admin only)
+app.post("/users", authenticate, requireRole("admin"), validateBody(userSchemas.create), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const usersCollection = database.collection("users");
+
+    const { name, email, password, role = "author" } = req.body;
+
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 8 characters",
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase();
+    const existingUser = await usersCollection.findOne({
+      email: normalizedEmail,
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: "A user with this email already exists",
+      });
+    }
+
+    const newUser = {
+      name,
+      email: normalizedEmail,
+      passwordHash: await bcrypt.hash(password, 10),
+      role,
+      isActive: true,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await usersCollection.insertOne(newUser);
+
+    res.status(201).json({
+      success: true,
+      message: "User created successfully",
+      data: sanitizeUser({ ...newUser, _id: result.insertedId }),
+    });
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// PUT - Update a user's name, role, password or active flag (admin only)
+app.put("/users/:id", authenticate, requireRole("admin"), validateBody(userSchemas.update), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const usersCollection = database.collection("users");
+
+    const { id } = req.params;
+    const { name, role, password, isActive } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user id",
+      });
+    }
+
+    const updates = { updatedAt: new Date() };
+
+    if (name !== undefined) {
+      updates.name = name;
+    }
+
+    if (role !== undefined) {
+      updates.role = role;
+    }
+
+    if (password !== undefined) {
+      if (password.length < 8) {
+        return res.status(400).json({
+          success: false,
+          message: "Password must be at least 8 characters",
+        });
+      }
+      updates.passwordHash = await bcrypt.hash(password, 10);
+    }
+
+    if (isActive !== undefined) {
+      updates.isActive = isActive;
+    }
+
+    // Don't let admins lock themselves out
+    if (
+      id === req.user._id.toString() &&
+      (updates.isActive === false || (updates.role && updates.role !== "admin"))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot demote or deactivate your own account",
+      });
+    }
+
+    const result = await usersCollection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: updates },
+      { returnDocument: "after" }
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "User updated successfully",
+      data: sanitizeUser(result),
+    });
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// DELETE - Remove a user (admin only)
+app.delete("/users/:id", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const usersCollection = database.collection("users");
+
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user id",
+      });
+    }
+
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot delete your own account",
+      });
+    }
+
+    const result = await usersCollection.deleteOne({ _id: new ObjectId(id) });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "User deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting user:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Get blogs - paginated, filterable and sortable
+// Query: page, limit, category, tags, tagMatch, author, from, to, search, sort, fields
+// Staff can add preview=true (and status=) to include unpublished posts
+app.get("/blogs", optionalAuth, async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    await publishDueBlogs(database);
+
+    const { filter: queryFilter, errors } = buildBlogFilter(req.query);
+
+    const statuses = parseListParam(req.query.status);
+    if (isPreviewRequest(req) && statuses.length > 0) {
+      queryFilter.status = { $in: statuses };
+    }
+
+    const filter = withVisibility(queryFilter, blogVisibilityFilter(req));
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(", "),
+      });
+    }
+
+    const { sort = "newest" } = req.query;
+
+    if (!BLOG_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Use one of: ${Object.keys(BLOG_SORTS).join(", ")}`,
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+
+    const [blogs, total] = await Promise.all([
+      clientsCollection
+        .find(filter, { projection: buildBlogProjection(req.query.fields) })
+        .sort(BLOG_SORTS[sort])
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      clientsCollection.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: blogs,
+      count: blogs.length,
+      pagination: buildPaginationMeta(req, pagination, total),
+      timestamp: new Date(),
+    });
+  } catch (error) {
+    console.error("Error fetching blogs:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// ======================
+// NOTIFICATIONS
+// ======================
+
+// Outgoing email: reply notifications for commenters, alerts for
+// moderators and a digest of new posts for subscribers. Mail goes through
+// one of MAIL_TRANSPORTS; "console" and "file" are for development.
+
+const MAIL_CONFIG = {
+  // SMTP when SMTP_HOST is set. Otherwise mail is only printed, and only
+  // outside production - printed mail carries addresses and signed links,
+  // so production has to ask for "console" or "file" explicitly.
+  transport:
+    process.env.MAIL_TRANSPORT ||
+    (process.env.SMTP_HOST
+      ? "smtp"
+      : process.env.NODE_ENV === "production"
+        ? null
+        : "console"),
+  from: process.env.MAIL_FROM || `"${FEED_CONFIG.title}" <no-reply@localhost>`,
+  // Where this API is served, for confirm, unsubscribe and moderation links.
+  // Links in mail never use the request's Host header, which whoever
+  // triggered the mail controls. Required in production.
+  apiUrl: (
+    process.env.API_URL ||
+    (process.env.NODE_ENV === "production" ? "" : `http://localhost:${port}`)
+  ).replace(/\/+$/, ""),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  },
+  fileDir: path.resolve(process.env.MAIL_FILE_DIR || "mail"),
+  // Falls back to every active admin and editor
+  moderatorEmails: parseListParam(process.env.MODERATOR_EMAILS),
+  // "all" new comments, only "held" ones, or "off"
+  moderatorAlerts: process.env.MODERATOR_ALERTS || "all",
+  // How far back the first digest looks
+  digestDays: parseInt(process.env.DIGEST_DAYS, 10) || 7,
+};
+
+// Mailing lists an address can be on. Digests need double opt-in; reply
+// notifications go to anyone who left an email until they unsubscribe.
+const NOTIFICATION_LISTS = ["digest", "replies"];
+const SUBSCRIPTION_STATUSES = ["pending", "active", "unsubscribed"];
+const CONFIRM_TOKEN_EXPIRES_IN = "7d";
+
+const subscriptionSchemas = {
+  create: {
+    email: { type: "string", required: true, format: "email", maxLength: 254 },
+    name: { type: "string", maxLength: 100 },
+  },
+};
+
+const MAIL_TRANSPORTS = {
+  smtp: () => nodemailer.createTransport(MAIL_CONFIG.smtp),
+  console: () => nodemailer.createTransport({ jsonTransport: true }),
+  file: () => nodemailer.createTransport({ streamTransport: true, buffer: true }),
+};
+
+let mailTransport = null;
+
+// Why mail can't be sent with this configuration, or null when it can
+function mailConfigError() {
+  if (!MAIL_CONFIG.transport) {
+    return "Mail is not configured. Set SMTP_HOST or MAIL_TRANSPORT";
+  }
+  if (!MAIL_TRANSPORTS[MAIL_CONFIG.transport]) {
+    return `Unknown MAIL_TRANSPORT "${MAIL_CONFIG.transport}"`;
+  }
+  if (!MAIL_CONFIG.apiUrl) {
+    return "Mail is not configured. Set API_URL for the links in emails";
+  }
+  return null;
+}
+
+function getMailTransport() {
+  if (!mailTransport) {
+    const configError = mailConfigError();
+    if (configError) {
+      throw new Error(configError);
+    }
+    mailTransport = MAIL_TRANSPORTS[MAIL_CONFIG.transport]();
+  }
+  return mailTransport;
+}
+
+async function sendMail(message) {
+  const info = await getMailTransport().sendMail({
+    from: MAIL_CONFIG.from,
+    ...message,
+  });
+
+  if (MAIL_CONFIG.transport === "console") {
+    console.log("📧 Mail:", info.message);
+  } else if (MAIL_CONFIG.transport === "file") {
+    const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+    await fs.promises.mkdir(MAIL_CONFIG.fileDir, { recursive: true });
+    await fs.promises.writeFile(path.join(MAIL_CONFIG.fileDir, name), info.message);
+  }
+
+  return info;
+}
+
+// Notifications are a side effect - a mail failure never fails the request
+async function sendNotification(message) {
+  try {
+    await sendMail(message);
+    return true;
+  } catch (error) {
+    console.error("Error sending notification:", error);
+    return false;
+  }
+}
+
+// Run notifications after the response has gone out, so nobody waits on
+// the mail server. On Vercel an instance can be frozen once it has
+// responded, which may delay or drop these mails.
+function notifyInBackground(task) {
+  task().catch((error) => console.error("Error sending notification:", error));
+}
+
+// Signed links for confirming and unsubscribing, so no token has to be stored
+function signEmailToken(email, list, action) {
+  return jwt.sign(
+    { sub: email, list, action, typ: "email" },
+    jwtSecret,
+    action === "confirm" ? { expiresIn: CONFIRM_TOKEN_EXPIRES_IN } : {}
+  );
+}
+
+function verifyEmailToken(token, action) {
+  try {
+    const payload = jwt.verify(String(token || ""), jwtSecret);
+    if (
+      payload.typ !== "email" ||
+      payload.action !== action ||
+      !NOTIFICATION_LISTS.includes(payload.list)
+    ) {
+      return null;
+    }
+    return { email: payload.sub, list: payload.list };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Post links in mail go to SITE_URL, or this API when there is no front end
+function mailPostUrl(blog) {
+  const base = (FEED_CONFIG.siteUrl || MAIL_CONFIG.apiUrl).replace(/\/+$/, "");
+  return `${base}${FEED_CONFIG.postPath}${encodeURIComponent(blog.slug)}`;
+}
+
+function unsubscribeUrl(email, list) {
+  const token = signEmailToken(email, list, "unsubscribe");
+  return `${MAIL_CONFIG.apiUrl}/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+// List-Unsubscribe headers for one-click unsubscribe in mail clients (RFC 8058)
+function unsubscribeHeaders(url) {
+  return {
+    "List-Unsubscribe": `<${url}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+async function isUnsubscribed(database, email, list) {
+  const subscription = await database
+    .collection("subscriptions")
+    .findOne({ email: email.toLowerCase(), list, status: "unsubscribed" });
+  return Boolean(subscription);
+}
+
+// Plain text and HTML versions of an email, with an unsubscribe footer
+function renderEmail({ paragraphs, html, unsubscribe }) {
+  const footer = unsubscribe
+    ? `You're receiving this from ${FEED_CONFIG.title}. Unsubscribe: ${unsubscribe}`
+    : "";
+
+  return {
+    text: [...paragraphs, footer].filter(Boolean).join("\n\n"),
+    html: [
+      html || paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join("\n"),
+      unsubscribe
+        ? `<p style="color:#888;font-size:12px">You're receiving this from ${escapeHtml(FEED_CONFIG.title)}. <a href="${escapeHtml(unsubscribe)}">Unsubscribe</a></p>`
+        : "",
+    ].join("\n"),
+  };
+}
+
+// Tell a commenter someone replied to them. Only called once the reply is
+// approved, and never for replying to yourself.
+async function notifyCommentReply(database, reply) {
+  if (!reply.parentId || !ObjectId.isValid(reply.parentId)) return;
+
+  const parent = await database.collection("comments").findOne({
+    _id: new ObjectId(reply.parentId),
+    isDeleted: { $ne: true },
+  });
+  const email = parent && parent.author && parent.author.email;
+  const replyEmail = (reply.author && reply.author.email) || "";
+
+  if (!email || email.toLowerCase() === replyEmail.toLowerCase()) return;
+  if (await isUnsubscribed(database, email, "replies")) return;
+
+  const blog = await database
+    .collection("clients_info")
+    .findOne({ slug: reply.blogSlug }, { projection: { title: 1, slug: 1 } });
+  if (!blog) return;
+
+  const unsubscribe = unsubscribeUrl(email, "replies");
+  const link = `${mailPostUrl(blog)}#comment-${reply._id}`;
+
+  await sendNotification({
+    to: email,
+    subject: `${reply.author.name} replied to your comment on "${blog.title}"`,
+    headers: unsubscribeHeaders(unsubscribe),
+    ...renderEmail({
+      paragraphs: [
+        `Hi ${parent.author.name},`,
+        `${reply.author.name} replied to your comment on "${blog.title}":`,
+        reply.content,
+        `Read the conversation: ${link}`,
+      ],
+      unsubscribe,
+    }),
+  });
+}
+
+async function moderatorRecipients(database) {
+  if (MAIL_CONFIG.moderatorEmails.length) {
+    return MAIL_CONFIG.moderatorEmails;
+  }
+
+  const users = await database
+    .collection("users")
+    .find(
+      { role: { $in: ["admin", "editor"] }, isActive: { $ne: false } },
+      { projection: { email: 1 } }
+    )
+    .toArray();
+  return users.map((user) => user.email).filter(Boolean);
+}
+
+// Alert moderators about a new comment, depending on MODERATOR_ALERTS
+async function notifyModerators(database, comment, blog) {
+  const held = comment.status !== "approved";
+  if (
+    MAIL_CONFIG.moderatorAlerts === "off" ||
+    (MAIL_CONFIG.moderatorAlerts === "held" && !held)
+  ) {
+    return;
+  }
+
+  const recipients = await moderatorRecipients(database);
+  if (!recipients.length) return;
+
+  await sendNotification({
+    to: recipients,
+    subject: held
+      ? `Comment awaiting moderation on "${blog.title}"`
+      : `New comment on "${blog.title}"`,
+    ...renderEmail({
+      paragraphs: [
+        `${comment.author.name} <${comment.author.email}> commented on "${blog.title}" (status: ${comment.status}).`,
+        comment.content,
+        `Post: ${mailPostUrl(blog)}`,
+        `Moderation queue: ${MAIL_CONFIG.apiUrl}/moderation/comments?status=${comment.status}`,
+      ],
+    }),
+  });
+}
+
+// Email every active digest subscriber the posts published since the last
+// digest. Each run is logged in the digests collection.
+async function sendDigest(database) {
+  await publishDueBlogs(database);
+
+  const now = new Date();
+  const last = await database
+    .collection("digests")
+    .findOne({}, { sort: { sentAt: -1 } });
+  const since = last
+    ? last.sentAt
+    : new Date(now.getTime() - MAIL_CONFIG.digestDays * 24 * 60 * 60 * 1000);
+
+  const posts = await database
+    .collection("clients_info")
+    .find(
+      {
+        $and: [
+          publicBlogFilter(now),
+          {
+            $or: [
+              { publishedAt: { $gt: since, $lte: now } },
+              { publishedAt: { $exists: false }, createdAt: { $gt: since, $lte: now } },
+            ],
+          },
+        ],
+      },
+      { projection: FEED_PROJECTION }
+    )
+    .sort({ publishedAt: -1, createdAt: -1 })
+    .limit(FEED_CONFIG.limit)
+    .toArray();
+
+  if (posts.length === 0) {
+    return { since, posts: 0, sent: 0, failed: 0 };
+  }
+
+  const subject = `New on ${FEED_CONFIG.title}: ${posts[0].title}${
+    posts.length > 1 ? ` and ${posts.length - 1} more` : ""
+  }`;
+  const lines = posts.map(
+    (post) => `${post.title}\n${post.excerpt || ""}\n${mailPostUrl(post)}`
+  );
+  const listHtml = posts
+    .map(
+      (post) =>
+        `<h3><a href="${escapeHtml(mailPostUrl(post))}">${escapeHtml(post.title)}</a></h3><p>${escapeHtml(post.excerpt || "")}</p>`
+    )
+    .join("\n");
+
+  let sent = 0;
+  let failed = 0;
+
+  const subscribers = database
+    .collection("subscriptions")
+    .find({ list: "digest", status: "active" });
+
+  for await (const subscriber of subscribers) {
+    const unsubscribe = unsubscribeUrl(subscriber.email, "digest");
+    const ok = await sendNotification({
+      to: subscriber.email,
+      subject,
+      headers: unsubscribeHeaders(unsubscribe),
+      ...renderEmail({
+        paragraphs: [`New posts since ${since.toDateString()}:`, ...lines],
+        html: `<p>New posts since ${escapeHtml(since.toDateString())}:</p>\n${listHtml}`,
+        unsubscribe,
+      }),
+    });
+    if (ok) {
+      sent++;
+    } else {
+      failed++;
+    }
+  }
+
+  await database.collection("digests").insertOne({
+    since,
+    sentAt: now,
+    postIds: posts.map((post) => post._id.toString()),
+    sent,
+    failed,
+  });
+
+  return { since, posts: posts.length, sent, failed };
+}
+
+// Small HTML page for links people open from an email
+function sendNoticePage(res, status, title, message, form) {
+  res
+    .status(status)
+    .type("html")
+    .send(
+      `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>` +
+        `<body style="font-family:sans-serif;max-width:32rem;margin:4rem auto">` +
+        `<h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p>${form || ""}</body></html>`
+    );
+}
+
+// ======================
+// WEBHOOKS
+// ======================
+
+// Admins register URLs that get a signed POST when content changes. Every
+// event becomes one document per webhook in webhook_deliveries, which is
+// the queue. Routes only queue deliveries and start sending them without
+// waiting, along with any retries that are due; the cron endpoint sends
+// whatever is still queued. Failures are retried with exponential backoff.
+// Vercel's Hobby plan only allows daily cron jobs, so vercel.json runs the
+// cron once a day; on Pro it can run every few minutes (e.g. */15 * * * *)
+// for retries that don't wait for the next event.
+//
+// Receivers verify a request by computing
+//   HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${raw body}`)
+// and comparing it to the hex digest in X-Webhook-Signature ("sha256=...").
+
+const WEBHOOK_EVENTS = [
+  "blog.created",
+  "blog.updated",
+  "blog.published",
+  "blog.deleted",
+  "blog.restored",
+  "comment.created",
+  "comment.updated",
+  "comment.deleted",
+];
+
+const WEBHOOK_DELIVERY_STATUSES = ["pending", "delivering", "succeeded", "failed"];
+
+const WEBHOOK_CONFIG = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  // First retry after this many seconds, doubling up to maxDelaySeconds
+  baseDelaySeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+  maxDelaySeconds: 6 * 60 * 60,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
+  // Most queued deliveries one retry run works through
+  batchSize: 20,
+  // Lets webhooks reach localhost and private networks, for development
+  allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true",
+};
+
+// Attempts kept in a delivery's log; replays keep adding to it
+const MAX_LOGGED_ATTEMPTS = 50;
+
+// Addresses webhooks may not be sent to: loopback, private networks,
+// link-local (where cloud metadata services live) and other reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) =>
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+const webhookSchemas = {
+  create: {
+    url: { type: "string", required: true, format: "url", maxLength: 2048 },
+    events: {
+      type: "array",
+      required: true,
+      maxItems: WEBHOOK_EVENTS.length,
+      // "*" subscribes to everything, including events added later
+      items: { type: "string", enum: ["*", ...WEBHOOK_EVENTS] },
+    },
+    description: { type: "string", maxLength: 200, allowEmpty: true },
+    active: { type: "boolean" },
+  },
+};
+webhookSchemas.update = partialSchema(webhookSchemas.create);
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// Seconds before retry number `attempt` (1-based)
+function webhookRetryDelay(attempt) {
+  return Math.min(
+    WEBHOOK_CONFIG.baseDelaySeconds * 2 ** (attempt - 1),
+    WEBHOOK_CONFIG.maxDelaySeconds
+  );
+}
+
+function isBlockedWebhookAddress({ address, family }) {
+  return BLOCKED_WEBHOOK_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Check that a webhook URL points at a public address. Runs when a webhook
+// is saved and before every delivery. Returns an error message, or null when
+// the URL may be used.
+async function checkWebhookUrl(url) {
+  if (WEBHOOK_CONFIG.allowPrivateUrls) return null;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `Could not resolve ${hostname}`;
+  }
+
+  return addresses.some(isBlockedWebhookAddress)
+    ? `${hostname} is a private or reserved address`
+    : null;
+}
+
+// DNS lookup for delivery connections that refuses private addresses. The
+// check above resolves the name separately, so a receiver answering it with
+// a public address and the connection with a private one (DNS rebinding)
+// is stopped here, on the address actually connected to.
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(isBlockedWebhookAddress)) {
+      return callback(new Error(`${hostname} is a private or reserved address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = WEBHOOK_CONFIG.allowPrivateUrls
+  ? undefined
+  : new undici.Agent({ connect: { lookup: lookupPublicAddress } });
+
+// The parts of a post a receiver needs; fetch the rest from the API
+function webhookBlog(blog) {
+  return {
+    _id: blog._id.toString(),
+    slug: blog.slug,
+    title: blog.title,
+    excerpt: blog.excerpt,
+    status: blog.status || "published",
+    category: blog.category,
+    tags: blog.tags || [],
+    author: blog.author,
+    coverImage: blog.coverImage,
+    publishAt: blog.publishAt || null,
+    publishedAt: blog.publishedAt || null,
+    createdAt: blog.createdAt,
+    updatedAt: blog.updatedAt,
+  };
+}
+
+// POST one delivery and record the attempt. Anything but a 2xx is a failure;
+// redirects aren't followed.
+async function attemptDelivery(database, delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+  const attempt = { at: new Date(), ok: false };
+
+  try {
+    const blocked = await checkWebhookUrl(webhook.url);
+    if (blocked) throw new Error(blocked);
+
+    const response = await undici.fetch(webhook.url, {
+      method: "POST",
+      redirect: "manual",
+      dispatcher: webhookAgent,
+      signal: AbortSignal.timeout(WEBHOOK_CONFIG.timeoutMs),
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "BeeAgency-Webhooks/1.0",
+        "X-Webhook-Id": webhook._id.toString(),
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": `sha256=${signWebhookPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+    });
+
+    attempt.statusCode = response.status;
+    attempt.ok = response.status >= 200 && response.status < 300;
+    attempt.response = (await response.text()).slice(0, 1000);
+  } catch (error) {
+    // fetch reports connection errors, including refused addresses, as the
+    // cause of a generic "fetch failed"
+    attempt.error =
+      error.name === "TimeoutError"
+        ? "Timed out"
+        : (error.cause && error.cause.message) || error.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  return recordDeliveryAttempt(database, delivery, attempt);
+}
+
+// Log an attempt and schedule the next one. `final` gives up without retrying.
+async function recordDeliveryAttempt(database, delivery, attempt, final = false) {
+  const attemptCount = (delivery.attemptCount || 0) + 1;
+  const exhausted = final || attemptCount >= WEBHOOK_CONFIG.maxAttempts;
+  const status = attempt.ok ? "succeeded" : exhausted ? "failed" : "pending";
+
+  await database.collection("webhook_deliveries").updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status,
+        attemptCount,
+        lastAttemptAt: attempt.at,
+        nextAttemptAt:
+          status === "pending"
+            ? new Date(Date.now() + webhookRetryDelay(attemptCount) * 1000)
+            : null,
+        lockedUntil: null,
+        updatedAt: new Date(),
+      },
+      $push: { attempts: { $each: [attempt], $slice: -MAX_LOGGED_ATTEMPTS } },
+    }
+  );
+
+  await database.collection("webhooks").updateOne(
+    { _id: new ObjectId(delivery.webhookId) },
+    {
+      $set: {
+        lastDeliveryAt: attempt.at,
+        lastDeliveryStatus: attempt.ok ? "succeeded" : "failed",
+      },
+    }
+  );
+
+  return status;
+}
+
+// Claim and send queued deliveries matching `filter` whose time has come.
+// The claim is atomic, so instances never send the same attempt twice; a
+// claim left behind by a crashed instance expires after lockedUntil.
+async function processWebhookQueue(database, filter = {}, limit = WEBHOOK_CONFIG.batchSize) {
+  const deliveries = database.collection("webhook_deliveries");
+  const webhooks = new Map();
+  const results = { succeeded: 0, pending: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+    const delivery = await deliveries.findOneAndUpdate(
+      {
+        ...filter,
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "delivering", lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          status: "delivering",
+          lockedUntil: new Date(now.getTime() + WEBHOOK_CONFIG.timeoutMs * 2),
+        },
+      },
+      { sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!delivery) break;
+
+    if (!webhooks.has(delivery.webhookId)) {
+      webhooks.set(
+        delivery.webhookId,
+        await database
+          .collection("webhooks")
+          .findOne({ _id: new ObjectId(delivery.webhookId) })
+      );
+    }
+    const webhook = webhooks.get(delivery.webhookId);
+
+    // A disabled webhook fails its deliveries; they can be replayed later
+    const status =
+      webhook && webhook.active !== false
+        ? await attemptDelivery(database, delivery, webhook)
+        : await recordDeliveryAttempt(
+            database,
+            delivery,
+            {
+              at: new Date(),
+              ok: false,
+              error: webhook ? "Webhook is disabled" : "Webhook was deleted",
+            },
+            true
+          );
+
+    results[status]++;
+  }
+
+  return results;
+}
+
+// Start sending queued deliveries without waiting for them, so requests
+// aren't held up by slow receivers. Retries that have come due go out
+// afterwards, so they don't all wait for the daily cron run. Anything that
+// doesn't go out here (an instance frozen once its response is sent, say)
+// is left for the cron run.
+function sendWebhooksInBackground(database, filter, limit) {
+  processWebhookQueue(database, filter, limit)
+    .then(() => processWebhookQueue(database))
+    .catch((error) => console.error("Error sending webhooks:", error));
+}
+
+// Queue one delivery of an event per webhook and start sending them
+async function queueWebhookDeliveries(database, webhooks, event, data) {
+  const now = new Date();
+  const deliveries = webhooks.map((webhook) => {
+    const _id = new ObjectId();
+    return {
+      _id,
+      webhookId: webhook._id.toString(),
+      event,
+      payload: { id: _id.toString(), event, createdAt: now, data },
+      status: "pending",
+      attemptCount: 0,
+      attempts: [],
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+    };
+  });
+
+  await database.collection("webhook_deliveries").insertMany(deliveries);
+  sendWebhooksInBackground(
+    database,
+    { _id: { $in: deliveries.map((delivery) => delivery._id) } },
+    deliveries.length
+  );
+
+  return deliveries.map((delivery) => delivery._id);
+}
+
+// Queue an event for every active webhook subscribed to it. Never throws -
+// webhooks must not break the route that raised the event.
+async function dispatchWebhooks(database, event, data) {
+  try {
+    const webhooks = await database
+      .collection("webhooks")
+      .find({ active: { $ne: false }, events: { $in: [event, "*"] } })
+      .toArray();
+
+    if (webhooks.length > 0) {
+      await queueWebhookDeliveries(database, webhooks, event, data);
+    }
+  } catch (error) {
+    console.error(`Error dispatching ${event} webhooks:`, error);
+  }
+}
+
+// Raise the webhook events for a change to a post, worked out from its
+// state before and after (before is null for new posts)
+async function dispatchBlogWebhooks(database, before, after, extra = {}) {
+  let event = "blog.updated";
+  if (!before) {
+    event = "blog.created";
+  } else if (after.isDeleted && !before.isDeleted) {
+    event = "blog.deleted";
+  } else if (before.isDeleted && !after.isDeleted) {
+    event = "blog.restored";
+  }
+
+  await dispatchWebhooks(database, event, { blog: webhookBlog(after), ...extra });
+
+  const wasPublished = before && (before.status || "published") === "published";
+  if (!after.isDeleted && after.status === "published" && !wasPublished) {
+    await dispatchWebhooks(database, "blog.published", { blog: webhookBlog(after) });
+  }
+}
+
+function dispatchCommentWebhook(database, event, comment) {
+  return dispatchWebhooks(database, event, {
+    comment: realtimeComment(comment),
+  });
+}
+
+// Webhook by id without its secret, or null
+async function findWebhook(database, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return database
+    .collection("webhooks")
+    .findOne({ _id: new ObjectId(id) }, { projection: { secret: 0 } });
+}
+
+// ======================
+// IMPORT AND EXPORT
+// ======================
+
+// Bulk moves of posts and their comments, in three formats:
+//   json     - an array of posts, each with a `comments` array
+//   markdown - a zip of .md files with YAML front-matter; a post's comments
+//              sit next to it in <name>.comments.json
+//   wxr      - a WordPress export (eXtended RSS)
+// Every format is parsed into the same records, which are then imported one
+// post at a time. Each record has a stable source key (the exported id, the
+// WordPress guid or the file path) stored as importKey, so running the same
+// import again doesn't duplicate anything.
+
+const IMPORT_FORMATS = ["json", "markdown", "wxr"];
+
+// What happens to a post that was imported before, or whose slug is taken:
+// skip it, update the existing post, or (slug conflicts only) import it
+// under a new slug
+const IMPORT_CONFLICT_MODES = ["skip", "update", "rename"];
+
+const importMaxSizeMb = parseFloat(process.env.IMPORT_MAX_SIZE_MB) || 50;
+
+const IMPORT_CONFIG = {
+  // Applies to uploads and JSON bodies. Vercel caps request bodies at
+  // 4.5MB, so larger imports only work on other hosts.
+  maxBytes: Math.round(importMaxSizeMb * 1024 * 1024),
+  // What a Markdown zip may unpack to in total; all of it is held in memory
+  maxUnpackedBytes: Math.round(
+    (parseFloat(process.env.IMPORT_MAX_UNPACKED_MB) || importMaxSizeMb * 3) * 1024 * 1024
+  ),
+  // Cover image for posts that have none and no image in their content.
+  // Without one, such posts get a generated placeholder.
+  defaultCoverImage: process.env.IMPORT_DEFAULT_COVER_IMAGE || null,
+  // Imported comments without an email get this one
+  placeholderEmail:
+    process.env.IMPORT_PLACEHOLDER_EMAIL || "anonymous@example.invalid",
+};
+
+// Format to assume from the uploaded file's extension
+const IMPORT_EXTENSIONS = { ".json": "json", ".zip": "markdown", ".xml": "wxr" };
+
+// Post fields carried by every format
+const PORTABLE_BLOG_FIELDS = [
+  "title",
+  "slug",
+  "excerpt",
+  "coverImage",
+  "date",
+  "content",
+  "contentFormat",
+  "author",
+  "authorImage",
+  "tags",
+  "category",
+  "metaTitle",
+  "metaDescription",
+  "canonicalUrl",
+  "noindex",
+  "status",
+  "publishAt",
+];
+
+// WordPress post and comment statuses, both ways
+const WXR_STATUSES = {
+  publish: "published",
+  draft: "draft",
+  pending: "in_review",
+  future: "scheduled",
+  private: "draft",
+};
+const WXR_EXPORT_STATUSES = {
+  published: "publish",
+  draft: "draft",
+  in_review: "pending",
+  scheduled: "future",
+  archived: "private",
+};
+const WXR_COMMENT_STATUSES = {
+  1: "approved",
+  0: "pending",
+  spam: "spam",
+  trash: "rejected",
+};
+const WXR_EXPORT_COMMENT_STATUSES = {
+  approved: "1",
+  pending: "0",
+  spam: "spam",
+  rejected: "trash",
+};
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_CONFIG.maxBytes, files: 1 },
+});
+const uploadImportFile = singleFileUpload(importUpload, IMPORT_CONFIG.maxBytes);
+const parseImportBody = express.json({ limit: IMPORT_CONFIG.maxBytes });
+
+// A valid Date, or null
+function importDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function parsePortableComment(comment, index) {
+  const author = comment.author || {};
+  return {
+    key: String(comment.id || comment._id || index),
+    parentKey: comment.parentId ? String(comment.parentId) : null,
+    content: String(comment.content || ""),
+    authorName: author.name || comment.authorName,
+    authorEmail: author.email || comment.authorEmail,
+    authorAvatar: author.avatar || comment.authorAvatar,
+    status: COMMENT_STATUSES.includes(comment.status) ? comment.status : "approved",
+    isDeleted: comment.isDeleted === true,
+    createdAt: importDate(comment.createdAt) || new Date(),
+  };
+}
+
+// A post in the JSON/front-matter shape produced by toPortablePost
+function parsePortablePost(data, fallbackKey) {
+  const id = data.id || data._id;
+  return {
+    key: id ? String(id) : fallbackKey,
+    post: pickFields(data, PORTABLE_BLOG_FIELDS),
+    createdAt: importDate(data.createdAt),
+    publishedAt: importDate(data.publishedAt),
+    comments: (Array.isArray(data.comments) ? data.comments : [])
+      .filter((comment) => comment && typeof comment === "object")
+      .map(parsePortableComment),
+  };
+}
+
+// `input` is an uploaded file or an already parsed request body
+function parseJsonImport(input) {
+  const data = Buffer.isBuffer(input) ? JSON.parse(input.toString("utf8")) : input;
+  const posts = Array.isArray(data) ? data : data && data.posts;
+
+  if (!Array.isArray(posts)) {
+    throw new Error("Expected a JSON array of posts");
+  }
+
+  return posts
+    .filter((post) => post && typeof post === "object")
+    .map((post, index) => parsePortablePost(post, `json:${post.slug || index}`));
+}
+
+function rejectScriptFrontMatter() {
+  throw new Error("JavaScript front-matter is not allowed");
+}
+
+// gray-matter evals ---js front-matter by default, so imports only read
+// YAML and JSON. Passing options also keeps it from caching every file.
+const FRONT_MATTER_OPTIONS = {
+  engines: { js: rejectScriptFrontMatter, javascript: rejectScriptFrontMatter },
+};
+
+const ZIP_TOO_LARGE = "The zip is too large once unpacked";
+
+// Unpack a zip entry as text, counting against `budget.remaining` bytes.
+// The sizes a zip declares can be false, so zip bombs are caught by
+// limiting what zlib actually produces.
+function unzipText(entry, budget) {
+  const tooLarge = new Error(ZIP_TOO_LARGE);
+  const compressed = entry.getCompressedData();
+  let data;
+
+  if (entry.header.method === 0) {
+    data = compressed;
+  } else if (entry.header.method === 8) {
+    try {
+      data = zlib.inflateRawSync(compressed, { maxOutputLength: budget.remaining + 1 });
+    } catch (error) {
+      throw error.code === "ERR_BUFFER_TOO_LARGE" ? tooLarge : error;
+    }
+  } else {
+    throw new Error(`${entry.entryName} uses an unsupported compression method`);
+  }
+
+  if (data.length > budget.remaining) throw tooLarge;
+  budget.remaining -= data.length;
+  return data.toString("utf8");
+}
+
+function parseMarkdownImport(buffer) {
+  const zip = new AdmZip(buffer);
+  const entries = zip
+    .getEntries()
+    .filter((entry) => !entry.isDirectory && !entry.entryName.startsWith("__MACOSX/"));
+
+  const files = new Map(entries.map((entry) => [entry.entryName, entry]));
+  const budget = { remaining: IMPORT_CONFIG.maxUnpackedBytes };
+
+  // Give up before unpacking anything when the declared sizes are already
+  // too much; unzipText still checks what is really produced
+  const declared = entries
+    .filter((entry) => /\.(md|comments\.json)$/.test(entry.entryName))
+    .reduce((total, entry) => total + entry.header.size, 0);
+  if (declared > budget.remaining) {
+    throw new Error(ZIP_TOO_LARGE);
+  }
+
+  return entries
+    .filter((entry) => entry.entryName.endsWith(".md"))
+    .map((entry) => {
+      const { data, content } = matter(unzipText(entry, budget), FRONT_MATTER_OPTIONS);
+      const commentsEntry = files.get(
+        entry.entryName.replace(/\.md$/, ".comments.json")
+      );
+      const comments = commentsEntry
+        ? JSON.parse(unzipText(commentsEntry, budget))
+        : [];
+
+      return parsePortablePost(
+        { contentFormat: "markdown", ...data, content: content.trim(), comments },
+        `markdown:${entry.entryName}`
+      );
+    });
+}
+
+// Text of a parsed XML node, whether or not it had attributes
+function xmlText(value) {
+  if (value && typeof value === "object") {
+    return value["#text"] === undefined ? "" : String(value["#text"]);
+  }
+  return value === undefined || value === null ? "" : String(value);
+}
+
+// WordPress dates look like "2024-01-31 09:30:00"; unpublished drafts have
+// all zeros
+function wxrDate(value) {
+  const text = xmlText(value);
+  if (!text || text.startsWith("0000")) return null;
+  return importDate(`${text.replace(" ", "T")}Z`);
+}
+
+function formatWxrDate(date) {
+  const valid = importDate(date);
+  return valid
+    ? valid.toISOString().slice(0, 19).replace("T", " ")
+    : "0000-00-00 00:00:00";
+}
+
+// WordPress keeps paragraphs as blank lines (wpautop adds the <p> tags when
+// it renders) and marks blocks with HTML comments
+function wxrContentToHtml(content) {
+  const html = content.replace(/<!--\s*\/?wp:[\s\S]*?-->/g, "").trim();
+  if (/<p[\s>]/i.test(html)) return html;
+
+  return html
+    .split(/\n\s*\n/)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean)
+    .map((chunk) =>
+      /^<(h[1-6]|ul|ol|blockquote|pre|figure|table|div|img)[\s>]/i.test(chunk)
+        ? chunk
+        : `<p>${chunk.replace(/\n/g, "<br>")}</p>`
+    )
+    .join("\n");
+}
+
+// Posts from a WordPress export. Pages, attachments, menu items and trashed
+// posts are left out; attachments are only used to find featured images.
+function parseWxrImport(buffer) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    parseTagValue: false,
+    htmlEntities: true,
+    isArray: (name) =>
+      ["item", "category", "wp:comment", "wp:postmeta", "wp:author"].includes(name),
+  });
+  const document = parser.parse(buffer.toString("utf8"));
+  const channel = document && document.rss && document.rss.channel;
+
+  if (!channel) {
+    throw new Error("Not a WordPress export: no <rss><channel> found");
+  }
+
+  const items = channel.item || [];
+  const authors = new Map(
+    (channel["wp:author"] || []).map((author) => [
+      xmlText(author["wp:author_login"]),
+      xmlText(author["wp:author_display_name"]),
+    ])
+  );
+  const attachments = new Map(
+    items
+      .filter((item) => xmlText(item["wp:post_type"]) === "attachment")
+      .map((item) => [
+        xmlText(item["wp:post_id"]),
+        xmlText(item["wp:attachment_url"]) || xmlText(item.guid),
+      ])
+  );
+
+  return items
+    .filter(
+      (item) =>
+        xmlText(item["wp:post_type"]) === "post" &&
+        xmlText(item["wp:status"]) !== "trash"
+    )
+    .map((item) => {
+      const meta = Object.fromEntries(
+        (item["wp:postmeta"] || []).map((entry) => [
+          xmlText(entry["wp:meta_key"]),
+          xmlText(entry["wp:meta_value"]),
+        ])
+      );
+      const terms = (domain) =>
+        (item.category || [])
+          .filter((category) => category["@_domain"] === domain)
+          .map(xmlText);
+
+      const status = WXR_STATUSES[xmlText(item["wp:status"])] || "draft";
+      const postedAt =
+        wxrDate(item["wp:post_date_gmt"]) || wxrDate(item["wp:post_date"]);
+      const creator = xmlText(item["dc:creator"]);
+      // Yoast SEO keeps its overrides in post meta; templates such as
+      // "%%title%% %%sep%%" only mean something to Yoast
+      const yoast = (key) => (meta[key] && !meta[key].includes("%%") ? meta[key] : null);
+
+      return {
+        key: xmlText(item.guid) || `wxr:${xmlText(item["wp:post_id"])}`,
+        post: {
+          title: xmlText(item.title),
+          slug: xmlText(item["wp:post_name"]),
+          excerpt: htmlToText(xmlText(item["excerpt:encoded"])),
+          content: wxrContentToHtml(xmlText(item["content:encoded"])),
+          contentFormat: "html",
+          coverImage: attachments.get(meta._thumbnail_id),
+          author: authors.get(creator) || creator,
+          category: terms("category")[0],
+          tags: terms("post_tag"),
+          metaTitle: yoast("_yoast_wpseo_title"),
+          metaDescription: yoast("_yoast_wpseo_metadesc"),
+          status,
+          publishAt: status === "scheduled" ? postedAt : null,
+        },
+        createdAt: postedAt,
+        publishedAt: status === "published" ? postedAt : null,
+        comments: (item["wp:comment"] || [])
+          .filter(
+            (comment) =>
+              !["pingback", "trackback"].includes(xmlText(comment["wp:comment_type"]))
+          )
+          .map((comment) => {
+            const parent = xmlText(comment["wp:comment_parent"]);
+            return {
+              key: xmlText(comment["wp:comment_id"]),
+              parentKey: parent && parent !== "0" ? parent : null,
+              content: htmlToText(xmlText(comment["wp:comment_content"])),
+              authorName: xmlText(comment["wp:comment_author"]),
+              authorEmail: xmlText(comment["wp:comment_author_email"]),
+              status:
+                WXR_COMMENT_STATUSES[xmlText(comment["wp:comment_approved"])] ||
+                "pending",
+              isDeleted: false,
+              createdAt:
+                wxrDate(comment["wp:comment_date_gmt"]) ||
+                wxrDate(comment["wp:comment_date"]) ||
+                new Date(),
+            };
+          }),
+      };
+    });
+}
+
+const IMPORT_PARSERS = {
+  json: parseJsonImport,
+  markdown: parseMarkdownImport,
+  wxr: parseWxrImport,
+};
+
+// First absolute image URL in HTML or Markdown content
+function firstContentImage(content) {
+  const match =
+    /<img[^>]+src=["'](https?:\/\/[^"']+)["']/i.exec(content) ||
+    /!\[[^\]]*\]\((https?:\/\/[^)\s]+)/.exec(content);
+  return match ? match[1] : null;
+}
+
+// Placeholder cover for imported posts without an image of their own
+function placeholderCoverImage(title) {
+  const text = truncateText(String(title || FEED_CONFIG.title), 60);
+  return `https://placehold.co/1200x630?text=${encodeURIComponent(text)}`;
+}
+
+// Fill the gaps the blog schema doesn't allow: slug, display date, cover
+// image, over-long excerpts and scheduled dates that have passed. Returns
+// the post and warnings about anything made up for it.
+function normalizeImportedPost(record) {
+  const warnings = [];
+  const post = Object.fromEntries(
+    Object.entries(record.post).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+
+  let slug = post.slug || post.title || "";
+  try {
+    slug = decodeURIComponent(slug);
+  } catch (error) {
+    // Not percent-encoded after all
+  }
+  post.slug = slugify(slug);
+
+  if (post.date instanceof Date) {
+    post.date = post.date.toISOString().slice(0, 10);
+  } else if (!post.date) {
+    post.date = (record.publishedAt || record.createdAt || new Date())
+      .toISOString()
+      .slice(0, 10);
+  } else {
+    post.date = String(post.date);
+  }
+
+  if (typeof post.tags === "string") {
+    post.tags = parseListParam(post.tags);
+  }
+  if (post.excerpt) {
+    post.excerpt = truncateText(String(post.excerpt), 499);
+  }
+  if (!post.coverImage) {
+    post.coverImage = firstContentImage(String(post.content || ""));
+  }
+  if (!post.coverImage) {
+    post.coverImage =
+      IMPORT_CONFIG.defaultCoverImage || placeholderCoverImage(post.title);
+    warnings.push(
+      IMPORT_CONFIG.defaultCoverImage
+        ? "No cover image; using the default cover image"
+        : "No cover image; using a placeholder"
+    );
+  }
+
+  if (post.status === "scheduled") {
+    const publishAt = importDate(post.publishAt);
+    if (!publishAt || publishAt <= new Date()) {
+      post.status = "published";
+    }
+  }
+  if (post.status !== "scheduled") {
+    delete post.publishAt;
+  }
+
+  return { post, warnings };
+}
+
+// Documents imported under this key, or exported from here with this id
+function importKeyFilter(importKey, sourceId) {
+  return ObjectId.isValid(sourceId) && String(sourceId).length === 24
+    ? { $or: [{ importKey }, { _id: new ObjectId(sourceId) }] }
+    : { importKey };
+}
+
+// A free slug that no earlier post in this import has claimed either
+async function uniqueImportSlug(database, slug, plannedSlugs) {
+  let candidate = await generateUniqueSlug(database, slug);
+  for (let n = 2; plannedSlugs.has(candidate); n++) {
+    candidate = await generateUniqueSlug(database, `${slug}-${n}`);
+  }
+  return candidate;
+}
+
+// Import a post's comments, parents before replies. Comments imported
+// before are left as they are.
+async function importComments(database, blog, record, dryRun) {
+  const commentsCollection = database.collection("comments");
+  const result = { created: 0, skipped: 0, failed: 0, errors: [] };
+  const imported = new Map();
+
+  const comments = [...record.comments].sort((a, b) => a.createdAt - b.createdAt);
+
+  for (const comment of comments) {
+    const importKey = `${record.key}#${comment.key}`;
+    const { value, errors } = validatePayload(commentSchemas.create, {
+      content: comment.content.trim(),
+      authorName: comment.authorName || "Anonymous",
+      authorEmail: comment.authorEmail || IMPORT_CONFIG.placeholderEmail,
+      authorAvatar: comment.authorAvatar || undefined,
+    });
+
+    if (errors.length > 0) {
+      result.failed++;
+      result.errors.push({ comment: comment.key, errors });
+      continue;
+    }
+
+    const existing = blog
+      ? await commentsCollection.findOne(importKeyFilter(importKey, comment.key))
+      : null;
+    if (existing) {
+      imported.set(comment.key, existing);
+      result.skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      result.created++;
+      continue;
+    }
+
+    // Replies whose parent didn't make it become top-level comments
+    const parent = comment.parentKey ? imported.get(comment.parentKey) : null;
+    const newComment = {
+      blogSlug: blog.slug,
+      content: value.content,
+      contentHtml: renderCommentContent(value.content),
+      parentId: parent ? parent._id.toString() : null,
+      ...threadFields(parent), // ancestors, rootId, depth
+      author: {
+        name: value.authorName.trim(),
+        email: value.authorEmail.trim(),
+        avatar:
+          value.authorAvatar ||
+          `https://ui-avatars.com/api/?name=${encodeURIComponent(value.authorName.trim())}&background=random`,
+      },
+      likes: 0,
+      isEdited: false,
+      isDeleted: comment.isDeleted,
+      status: comment.status,
+      contentHash: hashContent(value.content),
+      userIdentifier: crypto.randomUUID(),
+      importKey,
+      createdAt: comment.createdAt,
+      updatedAt: comment.createdAt,
+    };
+
+    const { insertedId } = await commentsCollection.insertOne(newComment);
+    imported.set(comment.key, { ...newComment, _id: insertedId });
+    result.created++;
+  }
+
+  return result;
+}
+
+// Import (or on a dry run, plan) one post and its comments. Returns the
+// report entry for it.
+async function importRecord(database, record, options) {
+  const { dryRun, onConflict, user, plannedSlugs } = options;
+  const clientsCollection = database.collection("clients_info");
+
+  const { post, warnings } = normalizeImportedPost(record);
+  const item = { key: record.key, title: post.title || null, slug: post.slug || null };
+  if (warnings.length > 0) item.warnings = warnings;
+
+  const { value, errors } = validatePayload(blogSchemas.create, post);
+  if (errors.length > 0) {
+    return { ...item, action: "error", errors };
+  }
+
+  let existing = await clientsCollection.findOne(
+    importKeyFilter(record.key, record.key)
+  );
+  let action = "create";
+
+  if (existing) {
+    // Imported before: a re-run still picks up comments that were missed
+    action = onConflict === "update" ? "update" : "skip";
+    item.slug = existing.slug;
+    if (action === "skip") item.reason = "Already imported";
+  } else if (
+    plannedSlugs.has(value.slug) ||
+    (await isSlugTaken(database, value.slug))
+  ) {
+    existing =
+      onConflict === "update"
+        ? await clientsCollection.findOne({ slug: value.slug })
+        : null;
+
+    if (existing) {
+      action = "update";
+    } else if (onConflict === "skip") {
+      return { ...item, action: "skip", reason: `Slug '${value.slug}' is already in use` };
+    } else {
+      item.renamedFrom = value.slug;
+      value.slug = await uniqueImportSlug(database, value.slug, plannedSlugs);
+      item.slug = value.slug;
+    }
+  }
+
+  if (action === "create") {
+    plannedSlugs.add(value.slug);
+  }
+
+  // Missing categories and tags are created, except on a dry run where they
+  // are only reported
+  const terms = await normalizeTaxonomies(
+    database,
+    { category: value.category || "", tags: value.tags || [] },
+    { create: !dryRun }
+  );
+  if (terms.errors.length > 0) {
+    if (!dryRun) return { ...item, action: "error", errors: terms.errors };
+    item.newTerms = terms.errors.map((error) => error.message);
+  }
+
+  if (dryRun) {
+    const comments = await importComments(database, existing, record, true);
+    return { ...item, action, comments };
+  }
+
+  let blog = existing;
+
+  if (action !== "skip") {
+    // Keep the original publish date, including for scheduled posts whose
+    // date passed before the import
+    const publishedAt =
+      value.status === "published"
+        ? record.publishedAt || importDate(record.post.publishAt)
+        : null;
+    const postAuthor = await resolveAuthor(database, value, user);
+    const fields = {
+      ...pickFields(value, [
+        "title",
+        "excerpt",
+        "coverImage",
+        "date",
+        "metaTitle",
+        "metaDescription",
+        "canonicalUrl",
+        "noindex",
+      ]),
+      content: value.content || "",
+      ...renderedFields(existing || {}, value),
+      ...authorFields(postAuthor, value.authorImage),
+      ...terms.fields,
+      ...statusFields(value.status || "draft", value.publishAt || null),
+      ...(publishedAt ? { publishedAt } : {}),
+      importKey: existing && existing.importKey ? existing.importKey : record.key,
+      // The import time, not the source's, so feed ETags and caches that
+      // follow the newest updatedAt notice the new posts
+      updatedAt: new Date(),
+    };
+
+    if (existing) {
+      // Updates keep the post's slug, stats and owner
+      blog = await clientsCollection.findOneAndUpdate(
+        { _id: existing._id },
+        { $set: fields, $inc: { revision: 1 } },
+        { returnDocument: "after" }
+      );
+    } else {
+      blog = {
+        ...fields,
+        slug: value.slug,
+        createdBy: user._id.toString(),
+        revision: 1,
+        likes: 0,
+        views: 0,
+        lastViewed: null,
+        createdAt: record.createdAt || new Date(),
+      };
+      const result = await clientsCollection.insertOne(blog);
+      blog._id = result.insertedId;
+    }
+
+    await recordRevision(database, {
+      before: existing,
+      after: blog,
+      user,
+      action: "import",
+    });
+  }
+
+  const comments = await importComments(database, blog, record, false);
+  return { ...item, action, comments };
+}
+
+// Import every record in order. Imports don't raise webhooks - a large
+// migration would flood the receivers.
+async function importRecords(database, records, { dryRun, onConflict, user }) {
+  const report = {
+    dryRun,
+    onConflict,
+    total: records.length,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    // Posts imported with something made up for them, such as a cover image
+    withWarnings: 0,
+    comments: { created: 0, skipped: 0, failed: 0 },
+    items: [],
+  };
+  const counters = { create: "created", update: "updated", skip: "skipped", error: "failed" };
+  const plannedSlugs = new Set();
+  const seenKeys = new Set();
+
+  for (const record of records) {
+    let item;
+
+    if (seenKeys.has(record.key)) {
+      item = { key: record.key, action: "skip", reason: "Duplicate of an earlier post in this import" };
+    } else {
+      seenKeys.add(record.key);
+      try {
+        item = await importRecord(database, record, { dryRun, onConflict, user, plannedSlugs });
+      } catch (error) {
+        console.error(`Error importing ${record.key}:`, error);
+        item = { key: record.key, action: "error", errors: [{ message: error.message }] };
+      }
+    }
+
+    report[counters[item.action]]++;
+    if (item.warnings) report.withWarnings++;
+    if (item.comments) {
+      report.comments.created += item.comments.created;
+      report.comments.skipped += item.comments.skipped;
+      report.comments.failed += item.comments.failed;
+    }
+    report.items.push(item);
+  }
+
+  return report;
+}
+
+// Posts matching `filter`, oldest first, with their comments
+async function loadExportPosts(database, filter, includeComments) {
+  const blogs = await database
+    .collection("clients_info")
+    .find(filter)
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+
+  const comments = includeComments
+    ? await database
+        .collection("comments")
+        .find({ blogSlug: { $in: blogs.map((blog) => blog.slug) } })
+        .sort({ createdAt: 1, _id: 1 })
+        .toArray()
+    : [];
+
+  const commentsBySlug = new Map();
+  comments.forEach((comment) => {
+    if (!commentsBySlug.has(comment.blogSlug)) {
+      commentsBySlug.set(comment.blogSlug, []);
+    }
+    commentsBySlug.get(comment.blogSlug).push(comment);
+  });
+
+  return blogs.map((blog) =>
+    toPortablePost(blog, commentsBySlug.get(blog.slug) || [])
+  );
+}
+
+// The shape the JSON and Markdown formats share. Ids are kept so that
+// importing an export back matches the original documents.
+function toPortablePost(blog, comments) {
+  return {
+    id: blog._id.toString(),
+    ...pickFields(blog, PORTABLE_BLOG_FIELDS),
+    contentFormat: blog.contentFormat || DEFAULT_CONTENT_FORMAT,
+    status: blog.status || "published",
+    publishedAt: blog.publishedAt || null,
+    createdAt: blog.createdAt,
+    updatedAt: blog.updatedAt,
+    comments: comments.map((comment) => ({
+      id: comment._id.toString(),
+      parentId: comment.parentId || null,
+      content: comment.content,
+      author: {
+        name: comment.author && comment.author.name,
+        email: comment.author && comment.author.email,
+        avatar: comment.author && comment.author.avatar,
+      },
+      status: comment.status || "approved",
+      isDeleted: Boolean(comment.isDeleted),
+      likes: comment.likes || 0,
+      createdAt: comment.createdAt,
+    })),
+  };
+}
+
+function renderMarkdownExport(posts) {
+  const zip = new AdmZip();
+
+  posts.forEach(({ content, comments, ...data }) => {
+    const name = `posts/${data.slug}`;
+    const frontMatter = Object.fromEntries(
+      Object.entries(data).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    );
+
+    zip.addFile(`${name}.md`, Buffer.from(matter.stringify(content || "", frontMatter)));
+    if (comments.length > 0) {
+      zip.addFile(
+        `${name}.comments.json`,
+        Buffer.from(JSON.stringify(comments, null, 2))
+      );
+    }
+  });
+
+  return zip.toBuffer();
+}
+
+// A WordPress export. Cover images become attachment items referenced by
+// _thumbnail_id, and SEO overrides go into Yoast's meta keys. WordPress
+// wants numeric ids, so everything is numbered in order.
+function renderWxrExport(req, posts) {
+  let nextId = 1;
+  const authors = [...new Set(posts.map((post) => post.author).filter(Boolean))];
+
+  const postmeta = (key, value) =>
+    `      <wp:postmeta><wp:meta_key>${cdata(key)}</wp:meta_key><wp:meta_value>${cdata(value)}</wp:meta_value></wp:postmeta>`;
+
+  const items = posts.map((post) => {
+    const postId = nextId++;
+    const meta = [];
+    let attachment = "";
+
+    if (post.coverImage) {
+      const attachmentId = nextId++;
+      meta.push(postmeta("_thumbnail_id", attachmentId));
+      attachment = `    <item>
+      <title>${escapeHtml(post.title)}</title>
+      <guid isPermaLink="false">${escapeHtml(post.coverImage)}</guid>
+      <wp:post_id>${attachmentId}</wp:post_id>
+      <wp:post_parent>${postId}</wp:post_parent>
+      <wp:post_type>attachment</wp:post_type>
+      <wp:status>inherit</wp:status>
+      <wp:attachment_url>${cdata(post.coverImage)}</wp:attachment_url>
+    </item>
+`;
+    }
+    if (post.metaTitle) meta.push(postmeta("_yoast_wpseo_title", post.metaTitle));
+    if (post.metaDescription) {
+      meta.push(postmeta("_yoast_wpseo_metadesc", post.metaDescription));
+    }
+
+    const commentIds = new Map(post.comments.map((comment) => [comment.id, nextId++]));
+    const comments = post.comments.map(
+      (comment) => `      <wp:comment>
+        <wp:comment_id>${commentIds.get(comment.id)}</wp:comment_id>
+        <wp:comment_author>${cdata(comment.author.name)}</wp:comment_author>
+        <wp:comment_author_email>${escapeHtml(comment.author.email || "")}</wp:comment_author_email>
+        <wp:comment_date_gmt>${formatWxrDate(comment.createdAt)}</wp:comment_date_gmt>
+        <wp:comment_content>${cdata(comment.content)}</wp:comment_content>
+        <wp:comment_approved>${WXR_EXPORT_COMMENT_STATUSES[comment.status] || "0"}</wp:comment_approved>
+        <wp:comment_type>comment</wp:comment_type>
+        <wp:comment_parent>${commentIds.get(comment.parentId) || 0}</wp:comment_parent>
+      </wp:comment>`
+    );
+
+    const categories = [
+      ...(post.category
+        ? [`      <category domain="category" nicename="${escapeHtml(slugify(post.category))}">${cdata(post.category)}</category>`]
+        : []),
+      ...(post.tags || []).map(
+        (tag) =>
+          `      <category domain="post_tag" nicename="${escapeHtml(slugify(tag))}">${cdata(tag)}</category>`
+      ),
+    ];
+
+    const postedAt = post.publishAt || post.publishedAt || post.createdAt;
+
+    return `${attachment}    <item>
+      <title>${escapeHtml(post.title)}</title>
+      <link>${escapeHtml(postUrl(req, post))}</link>
+      <pubDate>${new Date(firstDate(postedAt)).toUTCString()}</pubDate>
+      <dc:creator>${cdata(slugify(post.author || ""))}</dc:creator>
+      <guid isPermaLink="false">${post.id}</guid>
+      <content:encoded>${cdata(renderPostContent(post.content || "", post.contentFormat).contentHtml)}</content:encoded>
+      <excerpt:encoded>${cdata(post.excerpt)}</excerpt:encoded>
+      <wp:post_id>${postId}</wp:post_id>
+      <wp:post_date_gmt>${formatWxrDate(postedAt)}</wp:post_date_gmt>
+      <wp:post_modified_gmt>${formatWxrDate(post.updatedAt)}</wp:post_modified_gmt>
+      <wp:post_name>${cdata(post.slug)}</wp:post_name>
+      <wp:status>${WXR_EXPORT_STATUSES[post.status] || "draft"}</wp:status>
+      <wp:post_type>post</wp:post_type>
+${[...categories, ...meta, ...comments].join("\n")}
+    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/"
+  xmlns:wp="http://wordpress.org/export/1.2/">
+  <channel>
+    <title>${escapeHtml(FEED_CONFIG.title)}</title>
+    <link>${escapeHtml(siteUrl(req))}</link>
+    <description>${escapeHtml(FEED_CONFIG.description)}</description>
+    <wp:wxr_version>1.2</wp:wxr_version>
+${authors
+  .map(
+    (author) => `    <wp:author>
+      <wp:author_login>${cdata(slugify(author))}</wp:author_login>
+      <wp:author_display_name>${cdata(author)}</wp:author_display_name>
+    </wp:author>`
+  )
+  .join("\n")}
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+// ======================
+// SEARCH ENDPOINT
+// ======================
+
+// GET - Full-text search over blogs (and optionally comments)
+// Query: q, include=comments, page, limit, plus the blog list filters
+app.get("/search", async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+    const commentsCollection = database.collection("comments");
+
+    await publishDueBlogs(database);
+
+    const q = String(req.query.q || "").trim();
+
+    if (q.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query 'q' must be at least 2 characters",
+      });
+    }
+
+    // Reuse the blog list filters, but search through the text index
+    const { search, ...listQuery } = req.query;
+    const { filter: listFilter, errors } = buildBlogFilter(listQuery);
+    const blogFilter = withVisibility(listFilter, publicBlogFilter());
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join(", "),
+      });
+    }
+
+    const terms = getSearchTerms(q);
+    const pagination = parsePagination(req.query);
+    const textFilter = { ...blogFilter, $text: { $search: q } };
+
+    const [blogs, total] = await Promise.all([
+      clientsCollection
+        .find(textFilter, {
+          projection: {
+            score: { $meta: "textScore" },
+            title: 1,
+            slug: 1,
+            excerpt: 1,
+            content: 1,
+            coverImage: 1,
+            author: 1,
+            category: 1,
+            tags: 1,
+            createdAt: 1,
+          },
+        })
+        .sort({ score: { $meta: "textScore" } })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      clientsCollection.countDocuments(textFilter),
+    ]);
+
+    const posts = blogs.map(({ content, ...blog }) => ({
+      ...blog,
+      highlights: {
+        title: highlightTerms(blog.title || "", terms),
+        snippet: buildSnippet(
+          `${blog.excerpt || ""} ${content || ""}`,
+          terms
+        ),
+      },
+    }));
+
+    let comments = [];
+
+    if (parseListParam(req.query.include).includes("comments")) {
+      const commentFilter = {
+        $text: { $search: q },
+        isDeleted: { $ne: true },
+        ...APPROVED_COMMENT,
+      };
+
+      // Only search comments on published posts that match the blog filters
+      commentFilter.blogSlug = {
+        $in: await clientsCollection.distinct("slug", blogFilter),
+      };
+
+      const matchingComments = await commentsCollection
+        .find(commentFilter, {
+          projection: {
+            score: { $meta: "textScore" },
+            blogSlug: 1,
+            content: 1,
+            parentId: 1,
+            "author.name": 1,
+            "author.avatar": 1,
+            createdAt: 1,
+          },
+        })
+        .sort({ score: { $meta: "textScore" } })
+        .limit(pagination.limit)
+        .toArray();
+
+      comments = matchingComments.map(({ content, ...comment }) => ({
+        ...comment,
+        highlights: { snippet: buildSnippet(content, terms) },
+      }));
+    }
+
+    res.json({
+      success: true,
+      data: { posts, comments },
+      count: posts.length,
+      pagination: buildPaginationMeta(req, pagination, total),
+    });
+  } catch (error) {
+    console.error("Error searching:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// ======================
+// FEED ENDPOINTS
+// ======================
+
+// GET - RSS 2.0, Atom and JSON Feed of published posts. Clients revalidate
+// with ETag/Last-Modified, derived from listVersion.
+async function sendFeed(req, res, file) {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+    const format = FEED_FORMATS[file];
+
+    await publishDueBlogs(database);
+
+    const { filter: scopeFilter } = buildBlogFilter({
+      category: req.params.category,
+      tags: req.params.tag,
+    });
+    const filter = withVisibility(scopeFilter, publicBlogFilter());
+
+    const [updated, { changed, version }] = await Promise.all([
+      latestUpdate(clientsCollection, filter),
+      listVersion(clientsCollection, filter),
+    ]);
+
+    res.set("Content-Type", format.contentType);
+    if (setCacheHeaders(req, res, changed, version)) {
+      return res.status(304).end();
+    }
+
+    const blogs = await clientsCollection
+      .find(filter, { projection: FEED_PROJECTION })
+      .sort(BLOG_SORTS.newest)
+      .limit(FEED_CONFIG.limit)
+      .toArray();
+
+    const scope = req.params.category || req.params.tag;
+
+    res.send(
+      format.render({
+        title: scope ? `${FEED_CONFIG.title} - ${scope}` : FEED_CONFIG.title,
+        description: FEED_CONFIG.description,
+        homeUrl: siteUrl(req),
+        feedUrl: `${requestOrigin(req)}${req.path}`,
+        updated,
+        items: blogs.map((blog) => toFeedItem(req, blog)),
+      })
+    );
+  } catch (error) {
+    console.error("Error building feed:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+FEED_SCOPES.forEach((scope) => {
+  Object.keys(FEED_FORMATS).forEach((file) => {
+    app.get(`${scope}/${file}`, (req, res) => sendFeed(req, res, file));
+  });
+});
+
+// ======================
+// SEO ENDPOINTS
+// ======================
+
+// GET - Sitemap of published posts. Past SITEMAP_PAGE_SIZE posts this is a
+// sitemap index pointing at /sitemaps/posts-<n>.xml
+app.get("/sitemap.xml", async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    await publishDueBlogs(database);
+
+    const filter = sitemapFilter();
+    const [updated, { changed, count: total, version }] = await Promise.all([
+      latestUpdate(clientsCollection, filter),
+      listVersion(clientsCollection, filter),
+    ]);
+
+    res.type("application/xml");
+    if (setCacheHeaders(req, res, changed, version)) {
+      return res.status(304).end();
+    }
+
+    if (total > SEO_CONFIG.sitemapPageSize) {
+      const pages = Math.ceil(total / SEO_CONFIG.sitemapPageSize);
+      const locations = Array.from(
+        { length: pages },
+        (_, index) => `${requestOrigin(req)}/sitemaps/posts-${index + 1}.xml`
+      );
+      return res.send(renderSitemapIndex(locations, updated));
+    }
+
+    const blogs = await clientsCollection
+      .find(filter, { projection: { slug: 1, updatedAt: 1, createdAt: 1 } })
+      .sort(BLOG_SORTS.oldest)
+      .toArray();
+
+    res.send(
+      renderSitemap([
+        { loc: siteUrl(req), lastmod: total > 0 ? updated : null },
+        ...blogs.map((blog) => ({
+          loc: postUrl(req, blog),
+          lastmod: firstDate(blog.updatedAt, blog.createdAt),
+        })),
+      ])
+    );
+  } catch (error) {
+    console.error("Error building sitemap:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - One page of the sitemap index
+app.get("/sitemaps/posts-:page.xml", async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const page = parseInt(req.params.page, 10);
+    if (!(page >= 1)) {
+      return res.status(404).json({
+        success: false,
+        message: "Sitemap not found",
+      });
+    }
+
+    const filter = sitemapFilter();
+    const blogs = await clientsCollection
+      .find(filter, { projection: { slug: 1, updatedAt: 1, createdAt: 1 } })
+      .sort(BLOG_SORTS.oldest)
+      .skip((page - 1) * SEO_CONFIG.sitemapPageSize)
+      .limit(SEO_CONFIG.sitemapPageSize)
+      .toArray();
+
+    if (blogs.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Sitemap not found",
+      });
+    }
+
+    const entries = blogs.map((blog) => ({
+      loc: postUrl(req, blog),
+      lastmod: firstDate(blog.updatedAt, blog.createdAt),
+    }));
+
+    // Posts moving between pages change the page without changing any
+    // lastmod, so the version covers every entry
+    const version = entries
+      .map((entry) => `${entry.loc}@${entry.lastmod.getTime()}`)
+      .join(",");
+
+    res.type("application/xml");
+    if (setCacheHeaders(req, res, new Date(Math.max(...entries.map((entry) => entry.lastmod))), version)) {
+      return res.status(304).end();
+    }
+
+    res.send(renderSitemap(entries));
+  } catch (error) {
+    console.error("Error building sitemap page:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - robots.txt (ROBOTS_TXT or ROBOTS_DISALLOW to configure)
+app.get("/robots.txt", (req, res) => {
+  res.type("text/plain").send(buildRobotsTxt(req));
+});
+
+// ======================
+// TAXONOMY ENDPOINTS
+// ======================
+
+// /categories and /tags share the same set of endpoints
+Object.entries(TAXONOMIES).forEach(([kind, taxonomy]) => {
+  // GET - All terms with public post counts (?tree=true nests categories)
+  app.get(`/${kind}`, async (req, res) => {
+    try {
+      const { database } = await connectToDatabase();
+
+      await publishDueBlogs(database);
+
+      const [terms, counts] = await Promise.all([
+        database.collection(taxonomy.collection).find().sort({ name: 1 }).toArray(),
+        countPostsByTerm(database, taxonomy),
+      ]);
+
+      const withCounts = terms.map((term) => ({
+        ...term,
+        postCount: counts.get(term.slug) || 0,
+      }));
+
+      let data = withCounts;
+
+      if (taxonomy.hierarchical && req.query.tree === "true") {
+        const byId = new Map(
+          withCounts.map((term) => [term._id.toString(), { ...term, children: [] }])
+        );
+        data = [];
+        byId.forEach((term) => {
+          const parent = term.parentId && byId.get(term.parentId);
+          (parent ? parent.children : data).push(term);
+        });
+      }
+
+      res.json({
+        success: true,
+        data,
+        count: terms.length,
+      });
+    } catch (error) {
+      console.error(`Error fetching ${kind}:`, error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+
+  // GET - One term and its published posts (a category includes its children)
+  app.get(`/${kind}/:slug`, async (req, res) => {
+    try {
+      const { database } = await connectToDatabase();
+      const clientsCollection = database.collection("clients_info");
+
+      await publishDueBlogs(database);
+
+      const term = await findTerm(database, taxonomy, req.params.slug);
+
+      if (!term) {
+        return res.status(404).json({
+          success: false,
+          message: `${taxonomy.label} not found`,
+        });
+      }
+
+      const slugs = await descendantSlugs(database, taxonomy, term);
+      const filter = withVisibility(
+        { [taxonomy.slugField]: { $in: slugs } },
+        publicBlogFilter()
+      );
+      const pagination = parsePagination(req.query);
+
+      const [posts, total] = await Promise.all([
+        clientsCollection
+          .find(filter, { projection: buildBlogProjection(req.query.fields) })
+          .sort(BLOG_SORTS.newest)
+          .skip(pagination.skip)
+          .limit(pagination.limit)
+          .toArray(),
+        clientsCollection.countDocuments(filter),
+      ]);
+
+      res.json({
+        success: true,
+        data: { ...term, postCount: total },
+        posts,
+        count: posts.length,
+        pagination: buildPaginationMeta(req, pagination, total),
+      });
+    } catch (error) {
+      console.error(`Error fetching ${taxonomy.label.toLowerCase()}:`, error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+
+  // POST - Create a term (editor)
+  app.post(`/${kind}`, authenticate, requireRole("admin", "editor"), validateBody(termSchema(taxonomy, "create")), async (req, res) => {
+    try {
+      const { database } = await connectToDatabase();
+
+      const { name, description = "", parentId = null } = req.body;
+      const slug = req.body.slug || slugify(name);
+
+      if (!slug) {
+        return res.status(400).json({
+          success: false,
+          message: "Name must contain letters or numbers",
+        });
+      }
+
+      if (await findTerm(database, taxonomy, slug)) {
+        return res.status(409).json({
+          success: false,
+          message: `${taxonomy.label} '${slug}' already exists`,
+        });
+      }
+
+      if (taxonomy.hierarchical) {
+        const parentError = await checkParent(database, taxonomy, null, parentId);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError,
+          });
+        }
+      }
+
+      const term = {
+        name: name.trim(),
+        slug,
+        description,
+        aliases: [],
+        ...(taxonomy.hierarchical ? { parentId } : {}),
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await database.collection(taxonomy.collection).insertOne(term);
+
+      res.status(201).json({
+        success: true,
+        message: `${taxonomy.label} created successfully`,
+        data: { ...term, _id: result.insertedId },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: `${taxonomy.label} already exists`,
+        });
+      }
+
+      console.error(`Error creating ${taxonomy.label.toLowerCase()}:`, error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+
+  // PUT - Update or rename a term; renames carry through to every post
+  app.put(`/${kind}/:slug`, authenticate, requireRole("admin", "editor"), validateBody(termSchema(taxonomy, "update")), async (req, res) => {
+    try {
+      const { database } = await connectToDatabase();
+      const termsCollection = database.collection(taxonomy.collection);
+
+      const updates = req.body;
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No valid fields to update",
+        });
+      }
+
+      const term = await findTerm(database, taxonomy, req.params.slug);
+
+      if (!term) {
+        return res.status(404).json({
+          success: false,
+          message: `${taxonomy.label} not found`,
+        });
+      }
+
+      // A new name brings a new slug unless one is given
+      const nextSlug =
+        updates.slug || (updates.name ? slugify(updates.name) : term.slug);
+
+      if (!nextSlug) {
+        return res.status(400).json({
+          success: false,
+          message: "Name must contain letters or numbers",
+        });
+      }
+
+      if (nextSlug !== term.slug) {
+        const existing = await findTerm(database, taxonomy, nextSlug);
+        if (existing && !existing._id.equals(term._id)) {
+          return res.status(409).json({
+            success: false,
+            message: `${taxonomy.label} '${nextSlug}' already exists`,
+          });
+        }
+      }
+
+      if (taxonomy.hierarchical && updates.parentId !== undefined) {
+        const parentError = await checkParent(database, taxonomy, term._id, updates.parentId);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError,
+          });
+        }
+      }
+
+      // The old slug stays reachable as an alias
+      const aliases = [...new Set([...(term.aliases || []), term.slug])].filter(
+        (alias) => alias !== nextSlug
+      );
+
+      const updatedTerm = await termsCollection.findOneAndUpdate(
+        { _id: term._id },
+        {
+          $set: {
+            ...updates,
+            ...(updates.name ? { name: updates.name.trim() } : {}),
+            slug: nextSlug,
+            aliases: nextSlug !== term.slug ? aliases : term.aliases || [],
+            updatedAt: new Date(),
+          },
+        },
+        { returnDocument: "after" }
+      );
+
+      const renamed =
+        updatedTerm.slug !== term.slug || updatedTerm.name !== term.name;
+      const postsUpdated = renamed
+        ? await retagPosts(database, taxonomy, [term.slug], updatedTerm)
+        : 0;
+
+      res.json({
+        success: true,
+        message: `${taxonomy.label} updated successfully`,
+        data: updatedTerm,
+        postsUpdated,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: `${taxonomy.label} already exists`,
+        });
+      }
+
+      console.error(`Error updating ${taxonomy.label.toLowerCase()}:`, error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+
+  // POST - Merge a term into another one; its posts move to the target
+  app.post(`/${kind}/:slug/merge`, authenticate, requireRole("admin", "editor"), validateBody(termSchemas.merge), async (req, res) => {
+    try {
+      const { database } = await connectToDatabase();
+      const termsCollection = database.collection(taxonomy.collection);
+
+      const [source, target] = await Promise.all([
+        findTerm(database, taxonomy, req.params.slug),
+        findTerm(database, taxonomy, req.body.into),
+      ]);
+
+      if (!source || !target) {
+        return res.status(404).json({
+          success: false,
+          message: `${taxonomy.label} not found`,
+        });
+      }
+
+      if (source._id.equals(target._id)) {
+        return res.status(400).json({
+          success: false,
+          message: `Can't merge a ${taxonomy.label.toLowerCase()} into itself`,
+        });
+      }
+
+      // The target answers to the source's slugs from now on
+      const aliases = [
+        ...new Set([
+          ...(target.aliases || []),
+          source.slug,
+          ...(source.aliases || []),
+        ]),
+      ];
+      const updatedTarget = await termsCollection.findOneAndUpdate(
+        { _id: target._id },
+        {
+          $set: {
+            aliases,
+            // Merging a parent into its own child lifts the child up a level
+            ...(taxonomy.hierarchical && target.parentId === source._id.toString()
+              ? { parentId: source.parentId || null }
+              : {}),
+            updatedAt: new Date(),
+          },
+        },
+        { returnDocument: "after" }
+      );
+
+      if (taxonomy.hierarchical) {
+        await termsCollection.updateMany(
+          { parentId: source._id.toString(), _id: { $ne: target._id } },
+          { $set: { parentId: target._id.toString(), updatedAt: new Date() } }
+        );
+      }
+
+      const postsUpdated = await retagPosts(database, taxonomy, [source.slug], updatedTarget);
+
+      await termsCollection.deleteOne({ _id: source._id });
+
+      res.json({
+        success: true,
+        message: `Merged '${source.name}' into '${target.name}'`,
+        data: updatedTarget,
+        postsUpdated,
+      });
+    } catch (error) {
+      console.error(`Error merging ${kind}:`, error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+
+  // DELETE - Remove a term no post uses (admin)
+  app.delete(`/${kind}/:slug`, authenticate, requireRole("admin"), async (req, res) => {
+    try {
+      const { database } = await connectToDatabase();
+      const termsCollection = database.collection(taxonomy.collection);
+
+      const term = await findTerm(database, taxonomy, req.params.slug);
+
+      if (!term) {
+        return res.status(404).json({
+          success: false,
+          message: `${taxonomy.label} not found`,
+        });
+      }
+
+      const postCount = await database
+        .collection("clients_info")
+        .countDocuments({ [taxonomy.slugField]: term.slug });
+
+      if (postCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${taxonomy.label} is used by ${postCount} post(s). Merge it into another ${taxonomy.label.toLowerCase()} instead.`,
+        });
+      }
+
+      // Children move up to the deleted category's parent
+      if (taxonomy.hierarchical) {
+        await termsCollection.updateMany(
+          { parentId: term._id.toString() },
+          { $set: { parentId: term.parentId || null, updatedAt: new Date() } }
+        );
+      }
+
+      await termsCollection.deleteOne({ _id: term._id });
+
+      res.json({
+        success: true,
+        message: `${taxonomy.label} deleted successfully`,
+      });
+    } catch (error) {
+      console.error(`Error deleting ${taxonomy.label.toLowerCase()}:`, error);
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  });
+});
+
+// GET - Open Graph, Twitter Card and JSON-LD metadata for a post
+app.get("/blogs/:slug/meta", followSlugRedirects, optionalAuth, async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    await publishDueBlogs(database);
+
+    const blog = await clientsCollection.findOne(
+      withVisibility({ slug: req.params.slug }, blogVisibilityFilter(req)),
+      { projection: { likedBy: 0 } }
+    );
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildPostMeta(req, blog),
+    });
+  } catch (error) {
+    console.error("Error building blog meta:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - Posts related to this one (limit, default 5)
+app.get("/blogs/:slug/related", followSlugRedirects, optionalAuth, async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    await publishDueBlogs(database);
+
+    const blog = await clientsCollection.findOne(
+      withVisibility({ slug: req.params.slug }, blogVisibilityFilter(req)),
+      { projection: { title: 1, excerpt: 1, category: 1, categorySlug: 1, tags: 1, tagSlugs: 1 } }
+    );
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || RELATED_CONFIG.defaultLimit, 1),
+      RELATED_CONFIG.maxLimit
+    );
+
+    const posts = await getRelatedPosts(database, blog, limit);
+
+    res.json({
+      success: true,
+      data: posts.map(({ sharedTags, sameCategory, sharedKeywords, relevance, score, ...post }) => ({
+        ...post,
+        score: Math.round(score * 100) / 100,
+        reasons: { sharedTags, sameCategory: sameCategory === 1, sharedKeywords },
+      })),
+      count: posts.length,
+    });
+  } catch (error) {
+    console.error("Error fetching related posts:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Get single blog by slug
+// Get single blog by slug - Update to include the new fields
+app.get("/blogs/:slug", followSlugRedirects, optionalAuth, async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    await publishDueBlogs(database);
+
+    const { slug } = req.params;
+    const blog = await clientsCollection.findOne(
+      withVisibility({ slug }, blogVisibilityFilter(req))
+    );
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    // Ensure all fields exist even if they're not in the database yet.
+    // likedBy is left out - likers live in the reactions collection.
+    const { likedBy, reactionCounts, ...blogFields } = blog;
+    const blogWithDefaults = {
+      // Posts saved before content rendering get it on the fly until the
+      // render-content migration has run
+      ...(blog.contentHtml === undefined
+        ? renderedFields(blog, { excerpt: blog.excerpt })
+        : {}),
+      ...blogFields,
+      likes: blog.likes || 0,
+      reactions: reactionCountsOf(blog),
+      views: blog.views || 0,
+      tags: blog.tags || [],
+      category: blog.category || "",
+      authorImage: blog.authorImage || "",
+      status: blog.status || "published",
+    };
+
+    res.json({
+      success: true,
+      data: blogWithDefaults,
+    });
+  } catch (error) {
+    console.error("Error fetching blog:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Create a new blog
+// Find this endpoint in your Express server file and update it:
+app.post("/postblogs", authenticate, requireRole(...ROLES), validateBody(blogSchemas.create), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const {
+      title,
+      slug,
+      excerpt,
+      coverImage,
+      date,
+      content,
+      authorImage,
+      tags, // Add tags if you have them
+      category, // Add category if you have it
+      status = "draft",
+      publishAt = null,
+    } = req.body;
+    const rendered = renderedFields({}, req.body);
+
+    const statusError = checkStatusChange(req.user, null, status, publishAt);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError,
+      });
+    }
+
+    // Use the requested slug if it's free, otherwise generate one from the title
+    if (slug && (await isSlugTaken(database, slug))) {
+      return res.status(409).json({
+        success: false,
+        message: `Slug '${slug}' is already in use`,
+        suggestedSlug: await generateUniqueSlug(database, slug),
+      });
+    }
+
+    // Category and tags are matched against the managed terms
+    const terms = await normalizeTaxonomies(database, {
+      category: category || "",
+      tags: tags || [],
+    });
+    if (terms.errors.length > 0) {
+      return sendValidationError(res, terms.errors);
+    }
+
+    const authorError = await authorChoiceError(database, req.body, req.user);
+    if (authorError) {
+      return sendValidationError(res, [authorError]);
+    }
+
+    const postAuthor = await resolveAuthor(database, req.body, req.user);
+    if (!postAuthor) {
+      return sendValidationError(res, [
+        { field: "authorId", message: "Author not found" },
+      ]);
+    }
+
+    const finalSlug = slug || (await generateUniqueSlug(database, title));
+
+    // Create the new blog with ALL fields
+    const newBlog = {
+      title,
+      slug: finalSlug,
+      excerpt,
+      coverImage,
+      date,
+      content: content || "",
+      // contentFormat, contentHtml, toc, readingTime, wordCount, autoExcerpt
+      // and the generated excerpt when none was given
+      ...rendered,
+      ...authorFields(postAuthor, authorImage), // authorId, author, authorImage
+      ...terms.fields, // category, categorySlug, tags, tagSlugs
+
+      // Owner of the post, used for author permissions
+      createdBy: req.user._id.toString(),
+
+      // Publishing workflow
+      ...statusFields(status, publishAt),
+      revision: 1,
+
+      // Add these new fields for stats tracking
+      likes: 0,
+      views: 0,
+      lastViewed: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await clientsCollection.insertOne(newBlog);
+
+    await recordRevision(database, {
+      before: null,
+      after: { ...newBlog, _id: result.insertedId },
+      user: req.user,
+      action: "create",
+    });
+
+    await dispatchBlogWebhooks(database, null, {
+      ...newBlog,
+      _id: result.insertedId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Blog created successfully",
+      data: {
+        ...newBlog,
+        _id: result.insertedId.toString(),
+      },
+    });
+  } catch (error) {
+    // Another request grabbed the slug between our check and the insert
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Slug is already in use",
+      });
+    }
+
+    console.error("Error creating blog:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create blog",
+      error: error.message,
+    });
+  }
+});
+
+// Update a blog
+app.put("/blogs/:slug", authenticate, requireRole(...ROLES), validateBody(blogSchemas.update), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const { slug } = req.params;
+    // Only whitelisted fields make it through validateBody
+    const updateData = req.body;
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    const blog = await clientsCollection.findOne({ slug, ...NOT_DELETED });
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    if (!canEditBlog(req.user, blog)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only edit your own posts",
+      });
+    }
+
+    const slugChanged = updateData.slug && updateData.slug !== blog.slug;
+
+    if (slugChanged && (await isSlugTaken(database, updateData.slug, blog._id))) {
+      return res.status(409).json({
+        success: false,
+        message: `Slug '${updateData.slug}' is already in use`,
+        suggestedSlug: await generateUniqueSlug(
+          database,
+          updateData.slug,
+          blog._id
+        ),
+      });
+    }
+
+    const terms = await normalizeTaxonomies(database, updateData);
+    if (terms.errors.length > 0) {
+      return sendValidationError(res, terms.errors);
+    }
+    Object.assign(updateData, terms.fields);
+
+    if (updateData.authorId || updateData.author) {
+      const authorError = await authorChoiceError(database, updateData, req.user);
+      if (authorError) {
+        return sendValidationError(res, [authorError]);
+      }
+
+      const postAuthor = await resolveAuthor(database, updateData, req.user);
+      if (!postAuthor) {
+        return sendValidationError(res, [
+          { field: "authorId", message: "Author not found" },
+        ]);
+      }
+      Object.assign(updateData, authorFields(postAuthor, updateData.authorImage));
+    }
+
+    // Re-render when the content or its format changes
+    if (updateData.content !== undefined || updateData.contentFormat) {
+      Object.assign(updateData, renderedFields(blog, updateData));
+    }
+
+    const updatedBlog = await clientsCollection.findOneAndUpdate(
+      { _id: blog._id },
+      { $set: { ...updateData, updatedAt: new Date() }, $inc: { revision: 1 } },
+      { returnDocument: "after" }
+    );
+
+    if (!updatedBlog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    if (slugChanged) {
+      await recordSlugChange(database, blog._id, blog.slug, updatedBlog.slug);
+    }
+
+    await recordRevision(database, {
+      before: blog,
+      after: updatedBlog,
+      user: req.user,
+      action: "update",
+    });
+
+    await dispatchBlogWebhooks(
+      database,
+      blog,
+      updatedBlog,
+      slugChanged ? { previousSlug: blog.slug } : {}
+    );
+
+    res.json({
+      success: true,
+      message: "Blog updated successfully",
+      data: updatedBlog,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Slug is already in use",
+      });
+    }
+
+    console.error("Error updating blog:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update blog",
+      error: error.message,
+    });
+  }
+});
+
+// Change a blog's status (draft, in_review, scheduled, published, archived)
+app.post("/blogs/:slug/status", authenticate, requireRole(...ROLES), validateBody(blogSchemas.status), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const { slug } = req.params;
+    const { status, publishAt = null } = req.body;
+
+    const blog = await clientsCollection.findOne({ slug, ...NOT_DELETED });
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    if (!canEditBlog(req.user, blog)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only change the status of your own posts",
+      });
+    }
+
+    const currentStatus = blog.status || "published";
+    const statusError = checkStatusChange(
+      req.user,
+      currentStatus,
+      status,
+      publishAt
+    );
+
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError,
+      });
+    }
+
+    const updatedBlog = await clientsCollection.findOneAndUpdate(
+      { _id: blog._id },
+      {
+        $set: { ...statusFields(status, publishAt), updatedAt: new Date() },
+        $inc: { revision: 1 },
+      },
+      { returnDocument: "after" }
+    );
+
+    await recordRevision(database, {
+      before: blog,
+      after: updatedBlog,
+      user: req.user,
+      action: "status",
+    });
+
+    await dispatchBlogWebhooks(database, blog, updatedBlog);
+
+    res.json({
+      success: true,
+      message: `Blog status changed to ${status}`,
+      data: updatedBlog,
+    });
+  } catch (error) {
+    console.error("Error changing blog status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to change blog status",
+      error: error.message,
+    });
+  }
+});
+
+// Delete a blog
+app.delete("/blogs/:slug", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const { slug } = req.params;
+
+    const blog = await clientsCollection.findOne({ slug, ...NOT_DELETED });
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    if (!canEditBlog(req.user, blog)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only delete your own posts",
+      });
+    }
+
+    // Soft delete - the post goes to the trash and can be restored
+    const deletedBlog = await clientsCollection.findOneAndUpdate(
+      { _id: blog._id, ...NOT_DELETED },
+      {
+        $set: {
+          isDeleted: true,
+          deletedAt: new Date(),
+          deletedBy: revisionAuthor(req.user),
+          updatedAt: new Date(),
+        },
+        $inc: { revision: 1 },
+      },
+      { returnDocument: "after" }
+    );
+
+    if (!deletedBlog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    await recordRevision(database, {
+      before: blog,
+      after: deletedBlog,
+      user: req.user,
+      action: "delete",
+    });
+
+    await dispatchBlogWebhooks(database, blog, deletedBlog, { permanent: false });
+
+    res.json({
+      success: true,
+      message: "Blog moved to trash",
+    });
+  } catch (error) {
+    console.error("Error deleting blog:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete blog",
+      error: error.message,
+    });
+  }
+});
+
+// ======================
+// REVISION ENDPOINTS
+// ======================
+
+// GET - List revisions of a blog (newest first, without snapshots)
+app.get("/blogs/:slug/revisions", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const revisionsCollection = database.collection("blog_revisions");
+
+    const blog = await findEditableBlog(database, req, res);
+    if (!blog) return;
+
+    const revisions = await revisionsCollection
+      .find({ blogId: blog._id.toString() }, { projection: { snapshot: 0 } })
+      .sort({ revision: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length,
+    });
+  } catch (error) {
+    console.error("Error fetching revisions:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - Compare two revisions (?from=2&to=5, "to" defaults to the current post)
+app.get("/blogs/:slug/revisions/compare", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const revisionsCollection = database.collection("blog_revisions");
+
+    const blog = await findEditableBlog(database, req, res);
+    if (!blog) return;
+
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to === undefined ? null : parseInt(req.query.to, 10);
+
+    if (isNaN(from) || (to !== null && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "Query 'from' (and optional 'to') must be revision numbers",
+      });
+    }
+
+    const blogId = blog._id.toString();
+    const [fromRevision, toRevision] = await Promise.all([
+      revisionsCollection.findOne({ blogId, revision: from }),
+      to === null
+        ? null
+        : revisionsCollection.findOne({ blogId, revision: to }),
+    ]);
+
+    if (!fromRevision || (to !== null && !toRevision)) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    const toSnapshot = toRevision
+      ? toRevision.snapshot
+      : pickFields(blog, REVISION_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        from: from,
+        to: toRevision ? to : "current",
+        changes: diffFields(fromRevision.snapshot, toSnapshot),
+      },
+    });
+  } catch (error) {
+    console.error("Error comparing revisions:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - View a single revision
+app.get("/blogs/:slug/revisions/:revision", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const revisionsCollection = database.collection("blog_revisions");
+
+    const blog = await findEditableBlog(database, req, res);
+    if (!blog) return;
+
+    const revision = await revisionsCollection.findOne({
+      blogId: blog._id.toString(),
+      revision: parseInt(req.params.revision, 10),
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision,
+    });
+  } catch (error) {
+    console.error("Error fetching revision:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Restore a blog's content to a previous revision
+app.post("/blogs/:slug/revisions/:revision/restore", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+    const revisionsCollection = database.collection("blog_revisions");
+
+    const blog = await findEditableBlog(database, req, res);
+    if (!blog) return;
+
+    const revision = await revisionsCollection.findOne({
+      blogId: blog._id.toString(),
+      revision: parseInt(req.params.revision, 10),
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    const restored = pickFields(revision.snapshot, RESTORABLE_FIELDS);
+    Object.assign(restored, renderedFields(blog, restored));
+
+    // Terms deleted since the revision was saved are recreated
+    const terms = await normalizeTaxonomies(database, restored, { create: true });
+    Object.assign(restored, terms.fields);
+
+    if (restored.authorId || restored.author) {
+      const postAuthor = await resolveAuthor(database, restored, null);
+      if (postAuthor) {
+        Object.assign(restored, authorFields(postAuthor, restored.authorImage));
+      }
+    }
+
+    const updatedBlog = await clientsCollection.findOneAndUpdate(
+      { _id: blog._id },
+      { $set: { ...restored, updatedAt: new Date() }, $inc: { revision: 1 } },
+      { returnDocument: "after" }
+    );
+
+    await recordRevision(database, {
+      before: blog,
+      after: updatedBlog,
+      user: req.user,
+      action: "restore",
+    });
+
+    await dispatchBlogWebhooks(database, blog, updatedBlog, {
+      restoredRevision: revision.revision,
+    });
+
+    res.json({
+      success: true,
+      message: `Blog restored to revision ${revision.revision}`,
+      data: updatedBlog,
+    });
+  } catch (error) {
+    console.error("Error restoring revision:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore revision",
+      error: error.message,
+    });
+  }
+});
+
+// ======================
+// TRASH ENDPOINTS
+// ======================
+
+// GET - List deleted blogs (authors only see their own)
+app.get("/trash/blogs", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const filter = { isDeleted: true };
+    if (req.user.role === "author") {
+      filter.createdBy = req.user._id.toString();
+    }
+
+    const pagination = parsePagination(req.query);
+
+    const [blogs, total] = await Promise.all([
+      clientsCollection
+        .find(filter, { projection: DEFAULT_LIST_PROJECTION })
+        .sort({ deletedAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      clientsCollection.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: blogs,
+      count: blogs.length,
+      pagination: buildPaginationMeta(req, pagination, total),
+    });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Restore a deleted blog from the trash
+app.post("/trash/blogs/:id/restore", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid blog id",
+      });
+    }
+
+    const blog = await clientsCollection.findOne({
+      _id: new ObjectId(id),
+      isDeleted: true,
+    });
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found in trash",
+      });
+    }
+
+    if (!canEditBlog(req.user, blog)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only restore your own posts",
+      });
+    }
+
+    const restoredBlog = await clientsCollection.findOneAndUpdate(
+      { _id: blog._id },
+      {
+        $set: { isDeleted: false, updatedAt: new Date() },
+        $unset: { deletedAt: "", deletedBy: "" },
+        $inc: { revision: 1 },
+      },
+      { returnDocument: "after" }
+    );
+
+    await recordRevision(database, {
+      before: blog,
+      after: restoredBlog,
+      user: req.user,
+      action: "undelete",
+    });
+
+    await dispatchBlogWebhooks(database, blog, restoredBlog);
+
+    res.json({
+      success: true,
+      message: "Blog restored from trash",
+      data: restoredBlog,
+    });
+  } catch (error) {
+    console.error("Error restoring blog:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore blog",
+      error: error.message,
+    });
+  }
+});
+
+// DELETE - Permanently delete a blog from the trash (admin only)
+app.delete("/trash/blogs/:id", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid blog id",
+      });
+    }
+
+    const blog = await clientsCollection.findOneAndDelete({
+      _id: new ObjectId(id),
+      isDeleted: true,
+    });
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found in trash",
+      });
+    }
+
+    // A purged post takes its history, comments and reactions with it
+    const commentIds = await database
+      .collection("comments")
+      .distinct("_id", { blogSlug: blog.slug });
+
+    await Promise.all([
+      database.collection("reactions").deleteMany({
+        $or: [
+          { targetType: "blog", targetId: id },
+          {
+            targetType: "comment",
+            targetId: { $in: commentIds.map((commentId) => commentId.toString()) },
+          },
+        ],
+      }),
+      database.collection("blog_revisions").deleteMany({ blogId: id }),
+      database.collection("comments").deleteMany({ blogSlug: blog.slug }),
+      database.collection("slug_history").deleteMany({ blogId: id }),
+    ]);
+
+    await dispatchWebhooks(database, "blog.deleted", {
+      blog: webhookBlog(blog),
+      permanent: true,
+    });
+
+    res.json({
+      success: true,
+      message: "Blog permanently deleted",
+    });
+  } catch (error) {
+    console.error("Error purging blog:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to permanently delete blog",
+      error: error.message,
+    });
+  }
+});
+
+// ======================
+// AUTHOR ENDPOINTS
+// ======================
+
+// GET - All authors with their published post counts
+app.get("/authors", async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    await publishDueBlogs(database);
+
+    const [authors, counts] = await Promise.all([
+      database.collection("authors").find().sort({ name: 1 }).toArray(),
+      database
+        .collection("clients_info")
+        .aggregate([
+          { $match: withVisibility({ authorId: { $exists: true } }, publicBlogFilter()) },
+          { $group: { _id: "$authorId", count: { $sum: 1 } } },
+        ])
+        .toArray(),
+    ]);
+
+    const postCounts = new Map(counts.map((entry) => [entry._id, entry.count]));
+
+    res.json({
+      success: true,
+      data: authors.map(({ email, ...author }) => ({
+        ...author,
+        postCount: postCounts.get(author._id.toString()) || 0,
+      })),
+      count: authors.length,
+    });
+  } catch (error) {
+    console.error("Error fetching authors:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - Author page: profile, stats and latest posts
+app.get("/authors/:slug", async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    await publishDueBlogs(database);
+
+    const author = await findAuthor(database, req.params.slug);
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: "Author not found",
+      });
+    }
+
+    const filter = authorPostsFilter(author);
+    const [stats, recentPosts] = await Promise.all([
+      authorStats(database, filter),
+      database
+        .collection("clients_info")
+        .find(filter, { projection: DEFAULT_LIST_PROJECTION })
+        .sort(BLOG_SORTS.newest)
+        .limit(5)
+        .toArray(),
+    ]);
+
+    // Contact email stays private
+    const { email, ...profile } = author;
+
+    res.json({
+      success: true,
+      data: { ...profile, stats, recentPosts },
+    });
+  } catch (error) {
+    console.error("Error fetching author:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - Published posts by one author (page, limit, sort)
+app.get("/authors/:slug/posts", async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    await publishDueBlogs(database);
+
+    // Accepts the author's slug or their name
+    const author = await findAuthor(database, slugify(req.params.slug));
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: "Author not found",
+      });
+    }
+
+    const { sort = "newest" } = req.query;
+
+    if (!BLOG_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Use one of: ${Object.keys(BLOG_SORTS).join(", ")}`,
+      });
+    }
+
+    const filter = authorPostsFilter(author);
+    const pagination = parsePagination(req.query);
+
+    const [posts, total] = await Promise.all([
+      clientsCollection
+        .find(filter, { projection: buildBlogProjection(req.query.fields) })
+        .sort(BLOG_SORTS[sort])
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      clientsCollection.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      author: {
+        _id: author._id,
+        name: author.name,
+        slug: author.slug,
+        avatar: author.avatar || "",
+        postCount: total,
+      },
+      data: posts,
+      count: posts.length,
+      pagination: buildPaginationMeta(req, pagination, total),
+    });
+  } catch (error) {
+    console.error("Error fetching author posts:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Create an author profile (editor)
+app.post("/authors", authenticate, requireRole("admin", "editor"), validateBody(authorSchemas.create), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const value = req.body;
+    const slug = value.slug || slugify(value.name);
+
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        message: "Name must contain letters or numbers",
+      });
+    }
+
+    if (await findAuthor(database, slug)) {
+      return res.status(409).json({
+        success: false,
+        message: `Author '${slug}' already exists`,
+      });
+    }
+
+    const author = {
+      name: value.name.trim(),
+      slug,
+      bio: value.bio || "",
+      avatar: value.avatar || "",
+      email: value.email || "",
+      socialLinks: pickFields(value, AUTHOR_SOCIAL_LINKS),
+      aliases: [],
+      userId: value.userId || null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await database.collection("authors").insertOne(author);
+
+    res.status(201).json({
+      success: true,
+      message: "Author created successfully",
+      data: { ...author, _id: result.insertedId },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Author already exists",
+      });
+    }
+
+    console.error("Error creating author:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// PUT - Update an author profile; name and avatar changes reach every post
+app.put("/authors/:slug", authenticate, requireRole(...ROLES), validateBody(authorSchemas.update), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const authorsCollection = database.collection("authors");
+
+    const value = req.body;
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    const author = await findAuthor(database, req.params.slug);
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: "Author not found",
+      });
+    }
+
+    if (!canEditAuthor(req.user, author)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only edit your own profile",
+      });
+    }
+
+    // Only admins and editors can move a profile to another account
+    if (value.userId !== undefined && req.user.role === "author") {
+      delete value.userId;
+    }
+
+    const nextSlug = value.slug || author.slug;
+
+    if (nextSlug !== author.slug) {
+      const existing = await findAuthor(database, nextSlug);
+      if (existing && !existing._id.equals(author._id)) {
+        return res.status(409).json({
+          success: false,
+          message: `Author '${nextSlug}' already exists`,
+        });
+      }
+    }
+
+    // The old slug keeps working as an alias
+    const aliases =
+      nextSlug !== author.slug
+        ? [...new Set([...(author.aliases || []), author.slug])].filter(
+            (alias) => alias !== nextSlug
+          )
+        : author.aliases || [];
+
+    const updatedAuthor = await authorsCollection.findOneAndUpdate(
+      { _id: author._id },
+      {
+        $set: {
+          ...authorUpdateFields(value),
+          ...(value.name ? { name: value.name.trim() } : {}),
+          slug: nextSlug,
+          aliases,
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: "after" }
+    );
+
+    let postsUpdated = 0;
+
+    if (updatedAuthor.name !== author.name || updatedAuthor.avatar !== author.avatar) {
+      const result = await database.collection("clients_info").updateMany(
+        { authorId: author._id.toString() },
+        {
+          $set: {
+            author: updatedAuthor.name,
+            authorImage: updatedAuthor.avatar || "",
+            updatedAt: new Date(),
+          },
+        }
+      );
+      postsUpdated = result.modifiedCount;
+    }
+
+    res.json({
+      success: true,
+      message: "Author updated successfully",
+      data: updatedAuthor,
+      postsUpdated,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Author already exists",
+      });
+    }
+
+    console.error("Error updating author:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// DELETE - Remove an author profile no post references (admin)
+app.delete("/authors/:slug", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const author = await findAuthor(database, req.params.slug);
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: "Author not found",
+      });
+    }
+
+    const postCount = await database
+      .collection("clients_info")
+      .countDocuments({ authorId: author._id.toString() });
+
+    if (postCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Author has ${postCount} post(s). Reassign them before deleting.`,
+      });
+    }
+
+    await database.collection("authors").deleteOne({ _id: author._id });
+
+    res.json({
+      success: true,
+      message: "Author deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting author:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// ======================
+// MEDIA ENDPOINTS
+// ======================
+
+app.use("/media", requireMediaStorage);
+
+// Files written by the local backend
+if (MEDIA_CONFIG.storage === "local" && !MEDIA_STORAGE_ERROR) {
+  app.use(
+    "/uploads",
+    express.static(MEDIA_CONFIG.localDir, { maxAge: "30d", immutable: true })
+  );
+}
+
+// POST - Upload an image (multipart field "file", optional alt and tags)
+app.post("/media", authenticate, requireRole(...ROLES), uploadSingleFile, async (req, res) => {
+  const storage = getMediaStorage();
+  const storedKeys = [];
+
+  try {
+    const { database } = await connectToDatabase();
+    const mediaCollection = database.collection("media");
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "A file is required in the 'file' field",
+      });
+    }
+
+    // Multipart fields arrive as strings; tags are comma separated
+    const { value: details, errors } = validatePayload(mediaSchemas.update, {
+      alt: req.body.alt,
+      tags:
+        req.body.tags !== undefined ? parseListParam(req.body.tags) : undefined,
+    });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const image = await readImage(req.file.buffer);
+    if (!image) {
+      return res.status(415).json({
+        success: false,
+        message: `Unsupported file type. Use one of: ${Object.keys(MEDIA_FORMATS).join(", ")}`,
+      });
+    }
+
+    const { original, variants } = await processImage(req.file.buffer, image);
+
+    const _id = new ObjectId();
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+    const baseKey = `media/${now.getUTCFullYear()}/${month}/${_id}`;
+
+    const key = `${baseKey}.${image.extension}`;
+    await storage.put(key, original.data, image.mimeType);
+    storedKeys.push(key);
+
+    const storedVariants = [];
+    for (const variant of variants) {
+      const variantKey = `${baseKey}-${variant.width}w.webp`;
+      await storage.put(variantKey, variant.data, "image/webp");
+      storedKeys.push(variantKey);
+
+      storedVariants.push({
+        width: variant.width,
+        height: variant.height,
+        size: variant.data.length,
+        key: variantKey,
+        url: storage.url(req, variantKey),
+      });
+    }
+
+    const media = {
+      _id,
+      filename: String(req.file.originalname || "").slice(0, 255),
+      mimeType: image.mimeType,
+      size: original.data.length,
+      width: original.info.width,
+      height: original.info.height,
+      key,
+      url: storage.url(req, key),
+      storage: MEDIA_CONFIG.storage,
+      variants: storedVariants,
+      alt: details.alt || "",
+      tags: details.tags || [],
+      uploadedBy: req.user._id.toString(),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await mediaCollection.insertOne(media);
+
+    res.status(201).json({
+      success: true,
+      message: "Media uploaded successfully",
+      data: media,
+    });
+  } catch (error) {
+    // Don't leave files behind for an upload that didn't make it
+    await Promise.allSettled(storedKeys.map((key) => storage.remove(key)));
+
+    console.error("Error uploading media:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload media",
+      error: error.message,
+    });
+  }
+});
+
+// GET - Media library (page, limit, tags, type, q, mine=true)
+app.get("/media", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const mediaCollection = database.collection("media");
+
+    const filter = {};
+
+    const tags = parseListParam(req.query.tags);
+    if (tags.length > 0) {
+      filter.tags = { $in: tags };
+    }
+
+    if (req.query.type) {
+      filter.mimeType = String(req.query.type);
+    }
+
+    if (req.query.q) {
+      const pattern = { $regex: escapeRegex(String(req.query.q)), $options: "i" };
+      filter.$or = [{ filename: pattern }, { alt: pattern }];
+    }
+
+    if (req.query.mine === "true") {
+      filter.uploadedBy = req.user._id.toString();
+    }
+
+    const pagination = parsePagination(req.query);
+
+    const [media, total] = await Promise.all([
+      mediaCollection
+        .find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      mediaCollection.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: media,
+      count: media.length,
+      pagination: buildPaginationMeta(req, pagination, total),
+    });
+  } catch (error) {
+    console.error("Error fetching media:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - One media item with the posts that use it
+app.get("/media/:id", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid media id",
+      });
+    }
+
+    const media = await database
+      .collection("media")
+      .findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: "Media not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...media,
+        usedBy: await findMediaReferences(database, media),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching media item:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// PUT - Update alt text and tags
+app.put("/media/:id", authenticate, requireRole(...ROLES), validateBody(mediaSchemas.update), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const media = await findManageableMedia(database, req, res);
+    if (!media) return;
+
+    if (Object.keys(req.body).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    const updatedMedia = await database.collection("media").findOneAndUpdate(
+      { _id: media._id },
+      { $set: { ...req.body, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    res.json({
+      success: true,
+      message: "Media updated successfully",
+      data: updatedMedia,
+    });
+  } catch (error) {
+    console.error("Error updating media:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// DELETE - Remove a media item and its files, unless a post still uses it
+app.delete("/media/:id", authenticate, requireRole(...ROLES), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const media = await findManageableMedia(database, req, res);
+    if (!media) return;
+
+    const usedBy = await findMediaReferences(database, media);
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Media is still used by ${usedBy.length} post(s)`,
+        usedBy,
+      });
+    }
+
+    const storage = getMediaStorage(media.storage);
+    await Promise.all(
+      [media.key, ...media.variants.map((variant) => variant.key)].map((key) =>
+        storage.remove(key)
+      )
+    );
+
+    await database.collection("media").deleteOne({ _id: media._id });
+
+    res.json({
+      success: true,
+      message: "Media deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting media:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// ======================
+// REAL-TIME ENDPOINT
+// ======================
+
+// GET - Server-Sent Events stream of comment, like and view updates for a blog
+app.get("/blogs/:slug/events", followSlugRedirects, async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const { slug } = req.params;
+    const blog = await clientsCollection.findOne(
+      withVisibility({ slug }, publicBlogFilter()),
+      { projection: { likes: 1, views: 1 } }
+    );
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    await startRealtime(database);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Stop proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    let eventId = 0;
+    const send = (type, data) => {
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Tell the client how long to wait before reconnecting, and where we start
+    res.write("retry: 5000\n\n");
+    send("connected", {
+      slug,
+      likes: blog.likes || 0,
+      views: blog.views || 0,
+      source: realtimeSource,
+    });
+
+    const listener = (event) => send(event.type, event.data);
+    blogEvents.on(`blog:${slug}`, listener);
+
+    // Comments keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      blogEvents.off(`blog:${slug}`, listener);
+    });
+  } catch (error) {
+    console.error("Error opening event stream:", error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: error.message,
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// ======================
+// NOTIFICATION ENDPOINTS
+// ======================
+
+// POST - Subscribe to the digest. Sends a confirmation link once the
+// response is out; the answer is the same whether or not the address was
+// already subscribed.
+app.post("/subscriptions", rateLimit("subscribe"), validateBody(subscriptionSchemas.create), async (req, res) => {
+  try {
+    const configError = mailConfigError();
+    if (configError) {
+      console.error("Error creating subscription:", configError);
+      return res.status(503).json({
+        success: false,
+        message: "Subscriptions are unavailable because mail is not configured",
+      });
+    }
+
+    const { database } = await connectToDatabase();
+    const subscriptions = database.collection("subscriptions");
+    let confirmation = null;
+
+    const email = req.body.email.trim().toLowerCase();
+    const existing = await subscriptions.findOne({ email, list: "digest" });
+
+    if (!existing || existing.status !== "active") {
+      await subscriptions.updateOne(
+        { email, list: "digest" },
+        {
+          $set: {
+            status: "pending",
+            ...(req.body.name ? { name: req.body.name.trim() } : {}),
+            updatedAt: new Date(),
+          },
+          $setOnInsert: { createdAt: new Date() },
+        },
+        { upsert: true }
+      );
+
+      const token = signEmailToken(email, "digest", "confirm");
+      const link = `${MAIL_CONFIG.apiUrl}/subscriptions/confirm?token=${encodeURIComponent(token)}`;
+
+      confirmation = {
+        to: email,
+        subject: `Confirm your subscription to ${FEED_CONFIG.title}`,
+        ...renderEmail({
+          paragraphs: [
+            `Please confirm you want to receive new posts from ${FEED_CONFIG.title}:`,
+            link,
+            "If you didn't ask for this, ignore this email and nothing will be sent.",
+          ],
+        }),
+      };
+    }
+
+    res.status(202).json({
+      success: true,
+      message: "Check your inbox to confirm your subscription",
+    });
+
+    if (confirmation) {
+      notifyInBackground(() => sendNotification(confirmation));
+    }
+  } catch (error) {
+    console.error("Error creating subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - Confirm a subscription from the emailed link (?token=)
+app.get("/subscriptions/confirm", async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const subscription = verifyEmailToken(req.query.token, "confirm");
+    if (!subscription) {
+      return sendNoticePage(res, 400, "Link expired", "This confirmation link is invalid or has expired. Please subscribe again.");
+    }
+
+    const result = await database.collection("subscriptions").updateOne(
+      { email: subscription.email, list: subscription.list, status: { $ne: "unsubscribed" } },
+      { $set: { status: "active", confirmedAt: new Date(), updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return sendNoticePage(res, 404, "Subscription not found", "Please subscribe again.");
+    }
+
+    sendNoticePage(res, 200, "Subscription confirmed", `You'll now get new posts from ${FEED_CONFIG.title}.`);
+  } catch (error) {
+    console.error("Error confirming subscription:", error);
+    sendNoticePage(res, 500, "Something went wrong", "Please try again later.");
+  }
+});
+
+// GET - Unsubscribe page. Link scanners follow GET links, so the actual
+// unsubscribe is the POST below.
+app.get("/unsubscribe", (req, res) => {
+  const subscription = verifyEmailToken(req.query.token, "unsubscribe");
+  if (!subscription) {
+    return sendNoticePage(res, 400, "Invalid link", "This unsubscribe link is invalid.");
+  }
+
+  const what = subscription.list === "digest" ? "new post emails" : "comment reply emails";
+  sendNoticePage(
+    res,
+    200,
+    "Unsubscribe",
+    `Stop sending ${what} to ${subscription.email}?`,
+    `<form method="post"><button type="submit">Unsubscribe</button></form>`
+  );
+});
+
+// POST - Unsubscribe (?token=). Also the one-click target of List-Unsubscribe.
+app.post("/unsubscribe", async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const subscription = verifyEmailToken(req.query.token, "unsubscribe");
+    if (!subscription) {
+      return sendNoticePage(res, 400, "Invalid link", "This unsubscribe link is invalid.");
+    }
+
+    await database.collection("subscriptions").updateOne(
+      { email: subscription.email.toLowerCase(), list: subscription.list },
+      {
+        $set: { status: "unsubscribed", unsubscribedAt: new Date(), updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+
+    sendNoticePage(res, 200, "Unsubscribed", `${subscription.email} won't get these emails any more.`);
+  } catch (error) {
+    console.error("Error unsubscribing:", error);
+    sendNoticePage(res, 500, "Something went wrong", "Please try again later.");
+  }
+});
+
+// GET - List subscriptions (?list, status, page, limit)
+app.get("/subscriptions", authenticate, requireRole("admin", "editor"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const subscriptions = database.collection("subscriptions");
+
+    const filter = {};
+    if (req.query.list) {
+      if (!NOTIFICATION_LISTS.includes(req.query.list)) {
+        return res.status(400).json({
+          success: false,
+          message: `list must be one of: ${NOTIFICATION_LISTS.join(", ")}`,
+        });
+      }
+      filter.list = req.query.list;
+    }
+    if (req.query.status) {
+      if (!SUBSCRIPTION_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${SUBSCRIPTION_STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const pagination = parsePagination(req.query);
+    const [data, total] = await Promise.all([
+      subscriptions
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      subscriptions.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      pagination: buildPaginationMeta(req, pagination, total),
+    });
+  } catch (error) {
+    console.error("Error fetching subscriptions:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// DELETE - Forget a subscription entirely (admin)
+app.delete("/subscriptions/:id", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid subscription id",
+      });
+    }
+
+    const result = await database
+      .collection("subscriptions")
+      .deleteOne({ _id: new ObjectId(req.params.id) });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Subscription deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Send the digest of new posts. Runs from Vercel Cron or by an admin.
+async function runDigest(req, res) {
+  try {
+    const { database } = await connectToDatabase();
+    const result = await sendDigest(database);
+
+    res.json({
+      success: true,
+      message: result.posts
+        ? `Digest sent to ${result.sent} subscriber(s)`
+        : "No new posts since the last digest",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error sending digest:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+app.post("/notifications/digest", authenticateCronOrAdmin, runDigest);
+app.get("/cron/newsletter-digest", authenticateCronOrAdmin, runDigest);
+
+// ======================
+// WEBHOOK ENDPOINTS
+// ======================
+
+// GET - List webhooks (admin)
+app.get("/webhooks", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const webhooks = await database
+      .collection("webhooks")
+      .find({}, { projection: { secret: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length,
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (error) {
+    console.error("Error fetching webhooks:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Register a webhook. The signing secret is only returned here.
+app.post("/webhooks", authenticate, requireRole("admin"), validateBody(webhookSchemas.create), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const events = [...new Set(req.body.events)];
+    if (events.length === 0) {
+      return sendValidationError(res, [
+        { field: "events", message: "events needs at least one event" },
+      ]);
+    }
+
+    const urlError = await checkWebhookUrl(req.body.url);
+    if (urlError) {
+      return sendValidationError(res, [{ field: "url", message: urlError }]);
+    }
+
+    const webhook = {
+      url: req.body.url,
+      events,
+      description: req.body.description || "",
+      active: req.body.active !== false,
+      secret: generateWebhookSecret(),
+      createdBy: revisionAuthor(req.user),
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const result = await database.collection("webhooks").insertOne(webhook);
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook created. Store the secret now, it won't be shown again",
+      data: { ...webhook, _id: result.insertedId.toString() },
+    });
+  } catch (error) {
+    console.error("Error creating webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - A webhook with its delivery counts by status
+app.get("/webhooks/:id", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const webhook = await findWebhook(database, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    const counts = await database
+      .collection("webhook_deliveries")
+      .aggregate([
+        { $match: { webhookId: webhook._id.toString() } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ])
+      .toArray();
+
+    res.json({
+      success: true,
+      data: {
+        ...webhook,
+        deliveries: Object.fromEntries(
+          counts.map((entry) => [entry._id, entry.count])
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// PUT - Change a webhook's URL, events, description or active flag
+app.put("/webhooks/:id", authenticate, requireRole("admin"), validateBody(webhookSchemas.update), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const changes = { ...req.body };
+    if (changes.events) {
+      changes.events = [...new Set(changes.events)];
+      if (changes.events.length === 0) {
+        return sendValidationError(res, [
+          { field: "events", message: "events needs at least one event" },
+        ]);
+      }
+    }
+
+    const urlError = changes.url ? await checkWebhookUrl(changes.url) : null;
+    if (urlError) {
+      return sendValidationError(res, [{ field: "url", message: urlError }]);
+    }
+
+    const webhook = ObjectId.isValid(req.params.id)
+      ? await database.collection("webhooks").findOneAndUpdate(
+          { _id: new ObjectId(req.params.id) },
+          { $set: { ...changes, updatedAt: new Date() } },
+          { returnDocument: "after", projection: { secret: 0 } }
+        )
+      : null;
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Webhook updated successfully",
+      data: webhook,
+    });
+  } catch (error) {
+    console.error("Error updating webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// DELETE - Remove a webhook and its delivery log
+app.delete("/webhooks/:id", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const webhook = await findWebhook(database, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    await Promise.all([
+      database.collection("webhooks").deleteOne({ _id: webhook._id }),
+      database
+        .collection("webhook_deliveries")
+        .deleteMany({ webhookId: webhook._id.toString() }),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Webhook deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Issue a new signing secret; the old one stops working at once
+app.post("/webhooks/:id/secret", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const secret = generateWebhookSecret();
+    const result = ObjectId.isValid(req.params.id)
+      ? await database
+          .collection("webhooks")
+          .updateOne(
+            { _id: new ObjectId(req.params.id) },
+            { $set: { secret, updatedAt: new Date() } }
+          )
+      : { matchedCount: 0 };
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Secret rotated. Store it now, it won't be shown again",
+      data: { secret },
+    });
+  } catch (error) {
+    console.error("Error rotating webhook secret:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Queue a "ping" event to check the receiver. The result shows up
+// in the delivery log.
+app.post("/webhooks/:id/ping", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const webhook = await findWebhook(database, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    const [deliveryId] = await queueWebhookDeliveries(database, [webhook], "ping", {
+      webhookId: webhook._id.toString(),
+    });
+    const delivery = await database
+      .collection("webhook_deliveries")
+      .findOne({ _id: deliveryId });
+
+    res.status(202).json({
+      success: true,
+      message: "Ping queued. Check the delivery log for the result",
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("Error pinging webhook:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - Delivery log for a webhook, newest first (?status, event, page, limit)
+app.get("/webhooks/:id/deliveries", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const deliveries = database.collection("webhook_deliveries");
+
+    const webhook = await findWebhook(database, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    const filter = { webhookId: webhook._id.toString() };
+    if (req.query.status) {
+      if (!WEBHOOK_DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.event) {
+      filter.event = String(req.query.event);
+    }
+
+    const pagination = parsePagination(req.query);
+    const [data, total] = await Promise.all([
+      deliveries
+        .find(filter, { projection: { payload: 0 } })
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      deliveries.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data,
+      count: data.length,
+      pagination: buildPaginationMeta(req, pagination, total),
+    });
+  } catch (error) {
+    console.error("Error fetching webhook deliveries:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Replay every failed delivery of a webhook
+app.post("/webhooks/:id/deliveries/replay", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const webhook = await findWebhook(database, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook not found",
+      });
+    }
+
+    const filter = { webhookId: webhook._id.toString(), status: "failed" };
+    const result = await database.collection("webhook_deliveries").updateMany(
+      filter,
+      {
+        $set: {
+          status: "pending",
+          attemptCount: 0,
+          nextAttemptAt: new Date(),
+          replayedAt: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    // Start on the first batch; the rest go out with the regular retries
+    sendWebhooksInBackground(database, { webhookId: webhook._id.toString() });
+
+    res.status(202).json({
+      success: true,
+      message: `${result.modifiedCount} delivery(s) queued for replay`,
+      data: { queued: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error("Error replaying webhook deliveries:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - One delivery with its payload and every attempt
+app.get("/webhooks/:id/deliveries/:deliveryId", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const { id, deliveryId } = req.params;
+    const delivery = ObjectId.isValid(deliveryId)
+      ? await database
+          .collection("webhook_deliveries")
+          .findOne({ _id: new ObjectId(deliveryId), webhookId: id })
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("Error fetching webhook delivery:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Send a delivery again, with the same payload and delivery id
+app.post("/webhooks/:id/deliveries/:deliveryId/replay", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const deliveries = database.collection("webhook_deliveries");
+
+    const { id, deliveryId } = req.params;
+
+    // Deliveries being sent or waiting for a retry are left alone
+    const delivery = ObjectId.isValid(deliveryId)
+      ? await deliveries.findOneAndUpdate(
+          {
+            _id: new ObjectId(deliveryId),
+            webhookId: id,
+            status: { $in: ["failed", "succeeded"] },
+          },
+          {
+            $set: {
+              status: "pending",
+              attemptCount: 0,
+              nextAttemptAt: new Date(),
+              replayedAt: new Date(),
+              updatedAt: new Date(),
+            },
+          }
+        )
+      : null;
+
+    if (!delivery) {
+      const exists =
+        ObjectId.isValid(deliveryId) &&
+        (await deliveries.countDocuments({ _id: new ObjectId(deliveryId), webhookId: id }));
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists
+          ? "Delivery is still queued and can't be replayed yet"
+          : "Delivery not found",
+      });
+    }
+
+    sendWebhooksInBackground(database, { _id: delivery._id }, 1);
+
+    res.status(202).json({
+      success: true,
+      message: "Delivery queued for replay. Check the delivery log for the result",
+      data: { ...delivery, status: "pending", attemptCount: 0 },
+    });
+  } catch (error) {
+    console.error("Error replaying webhook delivery:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Send queued deliveries that are due, including retries. Runs from Vercel
+// Cron or by an admin.
+async function runWebhookRetries(req, res) {
+  try {
+    const { database } = await connectToDatabase();
+    const results = await processWebhookQueue(database);
+
+    res.json({
+      success: true,
+      message: "Webhook retries processed",
+      data: results,
+    });
+  } catch (error) {
+    console.error("Error retrying webhooks:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+}
+
+app.post("/webhooks/retry", authenticateCronOrAdmin, runWebhookRetries);
+app.get("/cron/webhook-deliveries", authenticateCronOrAdmin, runWebhookRetries);
+
+// ======================
+// IMPORT AND EXPORT ENDPOINTS
+// ======================
+
+// Import posts and comments from an uploaded file ("file" field), or from
+// a JSON body. ?format=json|markdown|wxr defaults from the file extension;
+// ?dryRun=true reports what would happen without writing anything;
+// ?onConflict=skip|update|rename decides what happens to posts that were
+// imported before or whose slug is taken (default skip).
+app.post("/import", authenticate, requireRole("admin", "editor"), parseImportBody, uploadImportFile, async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const extension = req.file
+      ? path.extname(req.file.originalname || "").toLowerCase()
+      : null;
+    const format = req.query.format || (req.file ? IMPORT_EXTENSIONS[extension] : "json");
+    const onConflict = req.query.onConflict || "skip";
+    const dryRun = req.query.dryRun === "true";
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown import format. Use one of: ${IMPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid onConflict. Use one of: ${IMPORT_CONFLICT_MODES.join(", ")}`,
+      });
+    }
+
+    if (!req.file && format !== "json") {
+      return res.status(400).json({
+        success: false,
+        message: "A file is required in the 'file' field",
+      });
+    }
+
+    let records;
+    try {
+      records = IMPORT_PARSERS[format](req.file ? req.file.buffer : req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the ${format} import: ${error.message}`,
+      });
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No posts found to import",
+      });
+    }
+
+    const report = await importRecords(database, records, {
+      dryRun,
+      onConflict,
+      user: req.user,
+    });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.created} to create, ${report.updated} to update, ${report.skipped} to skip, ${report.failed} with errors`
+        : `Imported ${report.created} new and ${report.updated} updated posts (${report.skipped} skipped, ${report.failed} failed)`,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Error importing posts:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// Download posts with their comments (?format=json|markdown|wxr,
+// status, comments=false). Trashed posts are left out.
+app.get("/export", authenticate, requireRole("admin", "editor"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+
+    const format = req.query.format || "json";
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown export format. Use one of: ${IMPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const filter = { ...NOT_DELETED };
+    if (req.query.status) {
+      const statuses = parseListParam(req.query.status);
+      const invalid = statuses.filter((status) => !BLOG_STATUSES.includes(status));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status '${invalid[0]}'. Use one of: ${BLOG_STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = { $in: statuses };
+    }
+
+    const posts = await loadExportPosts(
+      database,
+      filter,
+      req.query.comments !== "false"
+    );
+    const fileName = `blog-export-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === "markdown") {
+      res.attachment(`${fileName}.zip`);
+      return res.send(renderMarkdownExport(posts));
+    }
+
+    if (format === "wxr") {
+      res.attachment(`${fileName}.xml`);
+      return res.send(renderWxrExport(req, posts));
+    }
+
+    res.attachment(`${fileName}.json`);
+    res.json(posts);
+  } catch (error) {
+    console.error("Error exporting posts:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
 
-// Health check endpoint
-app.get("/status", async (req, res) => {
+// ======================
+// ANALYTICS ENDPOINTS
+// ======================
+
+// Rebuild rollups for a range (?granularity=hour|day|all, from, to).
+// Vercel Cron calls the GET version once a day.
+async function runRollups(req, res) {
   try {
     const { database } = await connectToDatabase();
-    await database.command({ ping: 1 });
+
+    const input = { ...req.query, ...(req.body || {}) };
+    const granularity = input.granularity || "all";
+
+    if (!["hour", "day", "all"].includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid granularity. Use one of: hour, day, all",
+      });
+    }
+
+    // Default to the last two days, which covers a missed daily run
+    const range = parseDateRange({
+      from: input.from || new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+      to: input.to,
+    });
+
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const units = granularity === "all" ? ["hour", "day"] : [granularity];
+    for (const unit of units) {
+      await rollupAnalytics(database, unit, range.from, range.to);
+    }
+
     res.json({
       success: true,
-      message: "Database connected successfully",
-      timestamp: new Date(),
-      environment: process.env.NODE_ENV || "development",
+      message: "Analytics rollups updated",
+      data: { granularity: units, from: range.from, to: range.to },
     });
   } catch (error) {
-    res.status(503).json({
+    console.error("Error rolling up analytics:", error);
+    res.status(500).json({
       success: false,
-      message: "Database connection failed",
-      error: error.message,
+      message: error.message,
     });
   }
-});
+}
+
+app.post("/analytics/rollup", authenticateCronOrAdmin, runRollups);
+app.get("/cron/analytics-rollup", authenticateCronOrAdmin, runRollups);
 
-// Get all blogs
-app.get("/blogs", async (req, res) => {
+// GET - Top posts for a range (?from, to, metric=views|uniqueVisitors|likes, limit)
+app.get("/analytics/top-posts", authenticate, requireRole("admin", "editor"), async (req, res) => {
   try {
     const { database } = await connectToDatabase();
-    const clientsCollection = database.collection("clients_info");
 
-    const blogs = await clientsCollection.find().toArray();
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const { metric = "views" } = req.query;
+    if (!["views", "uniqueVisitors", "likes"].includes(metric)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid metric. Use one of: views, uniqueVisitors, likes",
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+
+    await refreshRecentRollups(database);
+
+    // Ranking by visitors picks the posts from the raw events; otherwise the
+    // rollups pick them and visitors are counted for those posts only
+    const rankedByVisitors =
+      metric === "uniqueVisitors"
+        ? await uniqueVisitorsByBlog(database, range, { limit })
+        : null;
+
+    const match = { bucket: { $gte: truncateDate(range.from, "day"), $lt: range.to } };
+    if (rankedByVisitors) {
+      match.blogId = { $in: rankedByVisitors.map((entry) => entry._id) };
+    }
+
+    const topPosts = await database
+      .collection(ROLLUP_COLLECTIONS.day)
+      .aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$blogId",
+            views: { $sum: "$views" },
+            likes: { $sum: { $subtract: ["$likes", "$unlikes"] } },
+          },
+        },
+        ...(rankedByVisitors ? [] : [{ $sort: { [metric]: -1 } }, { $limit: limit }]),
+        {
+          $lookup: {
+            from: "clients_info",
+            let: { blogId: { $toObjectId: "$_id" } },
+            pipeline: [
+              { $match: { $expr: { $eq: ["$_id", "$$blogId"] } } },
+              { $project: { title: 1, slug: 1, category: 1 } },
+            ],
+            as: "blog",
+          },
+        },
+        { $unwind: { path: "$blog", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            blogId: "$_id",
+            title: "$blog.title",
+            slug: "$blog.slug",
+            category: "$blog.category",
+            views: 1,
+            likes: 1,
+          },
+        },
+      ])
+      .toArray();
+
+    const visitors = new Map(
+      (
+        rankedByVisitors ||
+        (await uniqueVisitorsByBlog(database, range, {
+          blogIds: topPosts.map((post) => post.blogId),
+        }))
+      ).map((entry) => [entry._id, entry.uniqueVisitors])
+    );
+    const posts = topPosts.map((post) => ({
+      ...post,
+      uniqueVisitors: visitors.get(post.blogId) || 0,
+    }));
+    if (rankedByVisitors) {
+      posts.sort((a, b) => b.uniqueVisitors - a.uniqueVisitors);
+    }
 
     res.json({
       success: true,
-      data: blogs,
-      count: blogs.length,
-      timestamp: new Date(),
+      data: posts,
+      range,
     });
   } catch (error) {
-    console.error("Error fetching blogs:", error);
+    console.error("Error fetching top posts:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -98,15 +9709,31 @@ app.get("/blogs", async (req, res) => {
   }
 });
 
-// Get single blog by slug
-// Get single blog by slug - Update to include the new fields
-app.get("/blogs/:slug", async (req, res) => {
+// GET - Views, visitors and likes over time for one post (?from, to, granularity=day|hour)
+app.get("/analytics/blogs/:slug/timeseries", authenticate, requireRole("admin", "editor"), async (req, res) => {
   try {
     const { database } = await connectToDatabase();
-    const clientsCollection = database.collection("clients_info");
 
-    const { slug } = req.params;
-    const blog = await clientsCollection.findOne({ slug });
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const { granularity = "day" } = req.query;
+    if (!ROLLUP_COLLECTIONS[granularity]) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid granularity. Use one of: day, hour",
+      });
+    }
+
+    const blog = await findAnalyticsBlog(database, req.params.slug, {
+      title: 1,
+      slug: 1,
+    });
 
     if (!blog) {
       return res.status(404).json({
@@ -115,23 +9742,47 @@ app.get("/blogs/:slug", async (req, res) => {
       });
     }
 
-    // Ensure all fields exist even if they're not in the database yet
-    const blogWithDefaults = {
-      ...blog,
-      likes: blog.likes || 0,
-      views: blog.views || 0,
-      likedBy: blog.likedBy || [],
-      tags: blog.tags || [],
-      category: blog.category || "",
-      authorImage: blog.authorImage || "",
-    };
+    await refreshRecentRollups(database);
+
+    const start = truncateDate(range.from, granularity);
+    const buckets = await database
+      .collection(ROLLUP_COLLECTIONS[granularity])
+      .find({
+        blogId: blog._id.toString(),
+        bucket: { $gte: start, $lt: range.to },
+      })
+      .sort({ bucket: 1 })
+      .toArray();
+
+    const byBucket = new Map(
+      buckets.map((bucket) => [bucket.bucket.getTime(), bucket])
+    );
+
+    // Fill gaps with zeros so charts get one point per bucket
+    const step = granularity === "hour" ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const series = [];
+    for (let time = start.getTime(); time < range.to.getTime(); time += step) {
+      const bucket = byBucket.get(time);
+      series.push({
+        bucket: new Date(time),
+        views: bucket ? bucket.views : 0,
+        uniqueVisitors: bucket ? bucket.uniqueVisitors : 0,
+        likes: bucket ? bucket.likes : 0,
+        unlikes: bucket ? bucket.unlikes : 0,
+      });
+    }
 
     res.json({
       success: true,
-      data: blogWithDefaults,
+      data: {
+        blog: { _id: blog._id, title: blog.title, slug: blog.slug },
+        granularity,
+        series,
+      },
+      range,
     });
   } catch (error) {
-    console.error("Error fetching blog:", error);
+    console.error("Error fetching time series:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -139,139 +9790,219 @@ app.get("/blogs/:slug", async (req, res) => {
   }
 });
 
-// Create a new blog
-// Find this endpoint in your Express server file and update it:
-app.post("/postblogs", async (req, res) => {
+// GET - Where views came from (?from, to, slug)
+app.get("/analytics/referrers", authenticate, requireRole("admin", "editor"), async (req, res) => {
   try {
     const { database } = await connectToDatabase();
-    const clientsCollection = database.collection("clients_info");
-
-    const {
-      title,
-      slug,
-      excerpt,
-      coverImage,
-      date,
-      content,
-      author,
-      authorImage,
-      tags, // Add tags if you have them
-      category // Add category if you have it
-    } = req.body;
 
-    // Validate required fields
-    if (!title || !slug || !excerpt || !coverImage || !date) {
+    const range = parseDateRange(req.query);
+    if (range.error) {
       return res.status(400).json({
         success: false,
-        message:
-          "Missing required fields: title, slug, excerpt, coverImage, date",
+        message: range.error,
       });
     }
 
-    // Create the new blog with ALL fields
-    const newBlog = {
-      title,
-      slug,
-      excerpt,
-      coverImage,
-      date,
-      content: content || "",
-      author: author || "Unknown",
-      authorImage: authorImage || "",
-      tags: tags || [], // Default to empty array
-      category: category || "", // Default to empty string
-      
-      // Add these new fields for stats tracking
-      likes: 0,
-      views: 0,
-      likedBy: [],
-      lastViewed: null,
-      createdAt: new Date(),
-      updatedAt: new Date(),
+    const match = {
+      type: "view",
+      createdAt: { $gte: range.from, $lt: range.to },
     };
+    if (req.query.slug) {
+      const blog = await findAnalyticsBlog(database, String(req.query.slug), { _id: 1 });
+      if (!blog) {
+        return res.status(404).json({
+          success: false,
+          message: "Blog not found",
+        });
+      }
+      match.blogId = blog._id.toString();
+    }
 
-    const result = await clientsCollection.insertOne(newBlog);
+    const [breakdown] = await database
+      .collection("analytics_events")
+      .aggregate([
+        { $match: match },
+        {
+          $facet: {
+            referrers: [
+              { $group: { _id: { $ifNull: ["$referrerHost", "direct"] }, views: { $sum: 1 } } },
+              { $sort: { views: -1 } },
+              { $limit: 50 },
+              { $project: { _id: 0, referrer: "$_id", views: 1 } },
+            ],
+            campaigns: [
+              { $match: { "utm.source": { $exists: true } } },
+              {
+                $group: {
+                  _id: {
+                    source: "$utm.source",
+                    medium: "$utm.medium",
+                    campaign: "$utm.campaign",
+                  },
+                  views: { $sum: 1 },
+                },
+              },
+              { $sort: { views: -1 } },
+              { $limit: 50 },
+              {
+                $project: {
+                  _id: 0,
+                  source: "$_id.source",
+                  medium: "$_id.medium",
+                  campaign: "$_id.campaign",
+                  views: 1,
+                },
+              },
+            ],
+          },
+        },
+      ])
+      .toArray();
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: "Blog created successfully",
-      data: {
-        ...newBlog,
-        _id: result.insertedId.toString(),
-      },
+      data: breakdown,
+      range,
     });
   } catch (error) {
-    console.error("Error creating blog:", error);
+    console.error("Error fetching referrers:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to create blog",
-      error: error.message,
+      message: error.message,
     });
   }
 });
 
-// Update a blog
-app.put("/blogs/:slug", async (req, res) => {
+// GET - Views and likes per category (?from, to)
+app.get("/analytics/categories", authenticate, requireRole("admin", "editor"), async (req, res) => {
   try {
     const { database } = await connectToDatabase();
-    const clientsCollection = database.collection("clients_info");
-
-    const { slug } = req.params;
-    const updateData = req.body;
-
-    const result = await clientsCollection.updateOne(
-      { slug },
-      { $set: { ...updateData, updatedAt: new Date() } }
-    );
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
         success: false,
-        message: "Blog not found",
+        message: range.error,
       });
     }
 
+    const categories = await database
+      .collection("analytics_events")
+      .aggregate([
+        { $match: { createdAt: { $gte: range.from, $lt: range.to } } },
+        {
+          $group: {
+            _id: { $ifNull: ["$category", ""] },
+            views: { $sum: { $cond: [{ $eq: ["$type", "view"] }, 1, 0] } },
+            likes: { $sum: { $cond: [{ $eq: ["$type", "like"] }, 1, 0] } },
+            visitors: {
+              $addToSet: {
+                $cond: [{ $eq: ["$type", "view"] }, "$visitorHash", "$$REMOVE"],
+              },
+            },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            category: "$_id",
+            views: 1,
+            likes: 1,
+            uniqueVisitors: { $size: "$visitors" },
+          },
+        },
+        { $sort: { views: -1 } },
+      ])
+      .toArray();
+
     res.json({
       success: true,
-      message: "Blog updated successfully",
-      data: result,
+      data: categories,
+      range,
     });
   } catch (error) {
-    console.error("Error updating blog:", error);
+    console.error("Error fetching category breakdown:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to update blog",
-      error: error.message,
+      message: error.message,
     });
   }
 });
 
-// Delete a blog
-app.delete("/blogs/:slug", async (req, res) => {
+// ======================
+// MIGRATION ENDPOINTS
+// ======================
+
+// GET - List migrations and when they last ran (admin only)
+app.get("/admin/migrations", authenticate, requireRole("admin"), async (req, res) => {
   try {
     const { database } = await connectToDatabase();
-    const clientsCollection = database.collection("clients_info");
+    const migrationsCollection = database.collection("migrations");
 
-    const { slug } = req.params;
+    const runs = await migrationsCollection.find().toArray();
+    const lastRuns = Object.fromEntries(runs.map((run) => [run._id, run]));
+
+    res.json({
+      success: true,
+      data: Object.entries(MIGRATIONS).map(([name, migration]) => ({
+        name,
+        description: migration.description,
+        lastRun: lastRuns[name] || null,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching migrations:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
 
-    const result = await clientsCollection.deleteOne({ slug });
+// POST - Run a migration (admin only)
+app.post("/admin/migrations/:name", authenticate, requireRole("admin"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const migrationsCollection = database.collection("migrations");
 
-    if (result.deletedCount === 0) {
+    const { name } = req.params;
+    const migration = MIGRATIONS[name];
+
+    if (!migration) {
       return res.status(404).json({
         success: false,
-        message: "Blog not found",
+        message: `Unknown migration. Use one of: ${Object.keys(MIGRATIONS).join(", ")}`,
       });
     }
 
+    const startedAt = new Date();
+    const result = await migration.run(database);
+
+    await migrationsCollection.updateOne(
+      { _id: name },
+      {
+        $set: {
+          result,
+          startedAt,
+          finishedAt: new Date(),
+          ranBy: revisionAuthor(req.user),
+        },
+      },
+      { upsert: true }
+    );
+
+    console.log(`🛠️ Migration ${name} finished:`, result);
+
     res.json({
       success: true,
-      message: "Blog deleted successfully",
+      message: `Migration ${name} finished`,
+      data: result,
     });
   } catch (error) {
-    console.error("Error deleting blog:", error);
+    console.error("Error running migration:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to delete blog",
+      message: "Migration failed",
       error: error.message,
     });
   }
@@ -285,19 +10016,91 @@ app.get("/", (req, res) => {
     database: cachedClient ? "Connected ✅" : "Disconnected ❌",
     endpoints: [
       "GET /status - Check server and database status",
-      "GET /blogs - Get all blogs",
-      "GET /blogs/:slug - Get single blog",
-      "POST /postblogs - Create new blog",
-      "PUT /blogs/:slug - Update blog",
-      "DELETE /blogs/:slug - Delete blog",
+      "POST /auth/setup - Create the first admin account",
+      "POST /auth/login - Log in and get a token",
+      "GET /auth/me - Get the logged in user",
+      "GET /users - List users (admin)",
+      "POST /users - Create user (admin)",
+      "PUT /users/:id - Update user (admin)",
+      "DELETE /users/:id - Delete user (admin)",
+      "GET /blogs - List blogs (page, limit, category, tags, author, from, to, search, sort, fields, preview)",
+      "GET /blogs/:slug - Get single blog (preview=true for staff)",
+      "GET /blogs/:slug/meta - Open Graph, Twitter Card and JSON-LD metadata",
+      "GET /blogs/:slug/related - Related posts (limit)",
+      "GET /authors - Author profiles with post counts",
+      "GET /authors/:slug - Author page with stats and latest posts",
+      "GET /authors/:slug/posts - Posts by an author (page, limit, sort)",
+      "POST /authors - Create author profile (editor)",
+      "PUT /authors/:slug - Update author profile (editor or own profile)",
+      "DELETE /authors/:slug - Delete author without posts (admin)",
+      "GET /categories, /tags - Terms with post counts (tree=true for nested categories)",
+      "GET /categories/:slug, /tags/:slug - Term and its posts",
+      "POST /categories, /tags - Create a term (editor)",
+      "PUT /categories/:slug, /tags/:slug - Update or rename a term (editor)",
+      "POST /categories/:slug/merge, /tags/:slug/merge - Merge into another term (editor)",
+      "DELETE /categories/:slug, /tags/:slug - Delete an unused term (admin)",
+      "GET /sitemap.xml - Sitemap (or sitemap index for large sites)",
+      "GET /robots.txt - Crawler rules",
+      "GET /search?q= - Full-text search (include=comments for comments)",
+      "GET /feed.xml, /atom.xml, /feed.json - RSS, Atom and JSON feeds",
+      "GET /categories/:category/feed.xml, /tags/:tag/feed.xml - Category and tag feeds (also atom.xml, feed.json)",
+      "POST /postblogs - Create new blog, slug generated from title if omitted, contentFormat markdown or html (auth)",
+      "PUT /blogs/:slug - Update blog (auth)",
+      "POST /blogs/:slug/status - Change blog status (auth)",
+      "DELETE /blogs/:slug - Move blog to trash (auth)",
+      "GET /blogs/:slug/revisions - List revisions (auth)",
+      "GET /blogs/:slug/revisions/compare?from=&to= - Compare revisions (auth)",
+      "GET /blogs/:slug/revisions/:revision - View revision (auth)",
+      "POST /blogs/:slug/revisions/:revision/restore - Restore revision (auth)",
+      "GET /trash/blogs - List deleted blogs (auth)",
+      "POST /trash/blogs/:id/restore - Restore deleted blog (auth)",
+      "DELETE /trash/blogs/:id - Permanently delete blog (admin)",
+      "POST /media - Upload an image (multipart 'file', alt, tags) (auth)",
+      "GET /media - Media library (tags, type, q, mine) (auth)",
+      "GET /media/:id - Media item and the posts using it (auth)",
+      "PUT /media/:id - Update alt text and tags (auth)",
+      "DELETE /media/:id - Delete media that no post uses (auth)",
+      "GET /blogs/:slug/comments - Threaded comments (sort, page, limit, replies)",
+      "GET /blogs/:slug/comments/:commentId/replies - Load more replies (cursor, limit)",
+      `POST /blogs/:slug/reactions - React to a blog (${REACTION_TYPES.join(", ")}; null clears)`,
+      "POST /blogs/:slug/comments/:commentId/reactions - React to a comment",
+      "GET /blogs/:slug/events - Live comment, like and view updates (Server-Sent Events)",
+      "GET /moderation/comments - Comment moderation queue (editor)",
+      "POST /moderation/comments/bulk - Approve/reject/spam comments (editor)",
+      "GET /moderation/rules - Moderation settings (editor)",
+      "GET /analytics/top-posts - Top posts for a date range (editor)",
+      "GET /analytics/blogs/:slug/timeseries - Views and likes over time (editor)",
+      "GET /analytics/referrers - Referrer and UTM breakdown (editor)",
+      "GET /analytics/categories - Category breakdown (editor)",
+      "POST /analytics/rollup - Rebuild hourly/daily rollups (admin or cron)",
+      "POST /subscriptions - Subscribe to the new posts digest (double opt-in)",
+      "GET /subscriptions/confirm?token= - Confirm a subscription",
+      "GET|POST /unsubscribe?token= - Unsubscribe from digests or reply emails",
+      "GET /subscriptions - List subscriptions (list, status) (editor)",
+      "DELETE /subscriptions/:id - Delete a subscription (admin)",
+      "POST /notifications/digest - Email new posts to subscribers (admin or cron)",
+      "GET /webhooks - List webhooks (admin)",
+      `POST /webhooks - Register a webhook (url, events: ${WEBHOOK_EVENTS.join(", ")} or *) (admin)`,
+      "GET|PUT|DELETE /webhooks/:id - View, update or delete a webhook (admin)",
+      "POST /webhooks/:id/secret - Rotate the signing secret (admin)",
+      "POST /webhooks/:id/ping - Send a test event (admin)",
+      "GET /webhooks/:id/deliveries - Delivery log (status, event) (admin)",
+      "GET /webhooks/:id/deliveries/:deliveryId - Delivery with payload and attempts (admin)",
+      "POST /webhooks/:id/deliveries/:deliveryId/replay - Replay a delivery (admin)",
+      "POST /webhooks/:id/deliveries/replay - Replay all failed deliveries (admin)",
+      "POST /webhooks/retry - Send deliveries due for a retry (admin or cron)",
+      "POST /import - Import posts and comments from JSON, a Markdown zip or a WordPress export (dryRun, onConflict) (editor)",
+      "GET /export - Export posts and comments as json, markdown or wxr (status, comments) (editor)",
+      "GET /admin/migrations - List data migrations (admin)",
+      "POST /admin/migrations/:name - Run a data migration (admin)",
     ],
   });
 });
 
 // Add after your other endpoints in your Express server file
 
-// GET blog stats (likes, views)
-app.get("/blogs/:slug/stats", async (req, res) => {
+// GET blog stats (likes, reactions, views)
+app.get("/blogs/:slug/stats", followSlugRedirects, async (req, res) => {
   try {
     const { database } = await connectToDatabase();
     const clientsCollection = database.collection("clients_info");
@@ -305,7 +10108,7 @@ app.get("/blogs/:slug/stats", async (req, res) => {
     const { slug } = req.params;
 
     // Find the blog
-    const blog = await clientsCollection.findOne({ slug });
+    const blog = await clientsCollection.findOne({ slug, ...NOT_DELETED });
 
     if (!blog) {
       return res.status(404).json({
@@ -314,13 +10117,21 @@ app.get("/blogs/:slug/stats", async (req, res) => {
       });
     }
 
+    // The caller's reaction (x-user-id header or ?userIdentifier=)
+    const blogId = blog._id.toString();
+    const userReactions = await findUserReactions(
+      database,
+      "blog",
+      [blogId],
+      getRequestIdentity(req)
+    );
+
     // Return stats
     res.json({
       success: true,
       data: {
-        likes: blog.likes || 0,
-        views: blog.views || 0,
-        likedBy: blog.likedBy || []
+        ...reactionSummary(blog, userReactions.get(blogId)),
+        views: blog.views || 0
       }
     });
   } catch (error) {
@@ -332,66 +10143,208 @@ app.get("/blogs/:slug/stats", async (req, res) => {
   }
 });
 
-
-// Add these endpoints after your existing stats endpoints
-
-// ======================
-// COMMENTS ENDPOINTS
-// ======================
-
-// GET all comments for a blog post
-app.get("/blogs/:slug/comments", async (req, res) => {
+
+// Add these endpoints after your existing stats endpoints
+
+// ======================
+// COMMENTS ENDPOINTS
+// ======================
+
+// GET all comments for a blog post as nested threads
+// Query: sort (newest, oldest, popular), page, limit, replies (per thread)
+app.get("/blogs/:slug/comments", followSlugRedirects, async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const commentsCollection = database.collection("comments");
+    
+    const { slug } = req.params;
+    const { sort = "newest" } = req.query;
+    
+    // Top-level comments for this blog post
+    let query = { 
+      blogSlug: slug,
+      parentId: null,
+      ...VISIBLE_COMMENT
+    };
+    
+    // Sort options
+    let sortOption = { createdAt: -1, _id: -1 }; // Default: newest first
+    if (sort === "popular") {
+      sortOption = { likes: -1, createdAt: -1, _id: -1 }; // Most liked first
+    } else if (sort === "oldest") {
+      sortOption = { createdAt: 1, _id: 1 };
+    }
+    
+    const pagination = parsePagination(req.query);
+    const repliesPerThread = Math.min(
+      Math.max(parseInt(req.query.replies, 10) || REPLIES_PER_THREAD, 0),
+      MAX_REPLIES_PAGE
+    );
+    
+    const [comments, total] = await Promise.all([
+      commentsCollection
+        .find(query)
+        .sort(sortOption)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      commentsCollection.countDocuments(query)
+    ]);
+    
+    const rootIds = comments.map((comment) => comment._id.toString());
+    
+    // One query for the first replies of every thread on the page, plus
+    // the direct reply count of every comment in those threads. $topN keeps
+    // only the replies shown, so busy threads stay small.
+    const firstReplies =
+      repliesPerThread > 0
+        ? {
+            replies: {
+              $topN: {
+                n: repliesPerThread,
+                sortBy: { createdAt: 1, _id: 1 }, // Oldest replies first
+                output: "$$ROOT"
+              }
+            }
+          }
+        : {};
+    const [threadData] = await commentsCollection
+      .aggregate([
+        { $match: { rootId: { $in: rootIds }, ...VISIBLE_COMMENT } },
+        {
+          $facet: {
+            threads: [
+              {
+                $group: {
+                  _id: "$rootId",
+                  ...firstReplies,
+                  total: { $sum: 1 }
+                }
+              }
+            ],
+            counts: [
+              { $group: { _id: "$parentId", count: { $sum: 1 } } }
+            ]
+          }
+        }
+      ])
+      .toArray();
+    
+    const replyCounts = Object.fromEntries(
+      threadData.counts.map((entry) => [entry._id, entry.count])
+    );
+    const threads = Object.fromEntries(
+      threadData.threads.map((thread) => [thread._id, thread])
+    );
+    
+    const commentsWithReplies = comments.map((comment) => {
+      const thread = threads[comment._id.toString()] || { total: 0 };
+      const replies = thread.replies || [];
+      const root = {
+        ...comment,
+        replyCount: replyCounts[comment._id.toString()] || 0,
+        threadReplyCount: thread.total,
+        replies: []
+      };
+      
+      nestComments([root], replies, replyCounts);
+      
+      // Cursor for loading the rest of this thread
+      const lastReply = replies[replies.length - 1];
+      root.repliesCursor =
+        thread.total > replies.length && lastReply
+          ? encodeCursor(lastReply)
+          : null;
+      
+      return root;
+    });
+    
+    await annotateCommentReactions(database, commentsWithReplies, getRequestIdentity(req));
+    
+    const commenterId = getCommenterId(req);
+    
+    res.json({
+      success: true,
+      data: commentsWithReplies.map((comment) => toPublicComment(comment, commenterId)),
+      count: comments.length,
+      pagination: buildPaginationMeta(req, pagination, total)
+    });
+    
+  } catch (error) {
+    console.error("Error fetching comments:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - Load more replies below a comment, oldest first
+// Query: cursor (from repliesCursor or nextCursor), limit
+app.get("/blogs/:slug/comments/:commentId/replies", followSlugRedirects, async (req, res) => {
   try {
     const { database } = await connectToDatabase();
     const commentsCollection = database.collection("comments");
     
-    const { slug } = req.params;
-    const { sort = "newest" } = req.query;
+    const { slug, commentId } = req.params;
     
-    // Find all comments for this blog post (top-level comments)
-    let query = { 
-      blogSlug: slug,
-      parentId: null,
-      isDeleted: { $ne: true }
-    };
+    if (!ObjectId.isValid(commentId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid comment id"
+      });
+    }
     
-    // Sort options
-    let sortOption = { createdAt: -1 }; // Default: newest first
-    if (sort === "popular") {
-      sortOption = { likes: -1, createdAt: -1 }; // Most liked first
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || REPLIES_PER_THREAD * 2, 1),
+      MAX_REPLIES_PAGE
+    );
+    
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor"
+        });
+      }
     }
     
-    const comments = await commentsCollection
-      .find(query)
-      .sort(sortOption)
+    const filter = {
+      blogSlug: slug,
+      ancestors: commentId,
+      ...VISIBLE_COMMENT
+    };
+    
+    const replies = await commentsCollection
+      .find(cursor ? { $and: [filter, afterCursor(cursor)] } : filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
       .toArray();
     
-    // Get replies for each comment
-    const commentsWithReplies = await Promise.all(
-      comments.map(async (comment) => {
-        const replies = await commentsCollection
-          .find({ 
-            parentId: comment._id.toString(),
-            isDeleted: { $ne: true }
-          })
-          .sort({ createdAt: 1 }) // Oldest replies first
-          .toArray();
-        
-        return {
-          ...comment,
-          replies: replies || []
-        };
-      })
+    const hasMore = replies.length > limit;
+    const page = replies.slice(0, limit);
+    
+    const replyCounts = await countDirectReplies(
+      commentsCollection,
+      page.map((reply) => reply._id.toString())
     );
+    const { topLevel } = nestComments([], page, replyCounts);
+    await annotateCommentReactions(database, topLevel, getRequestIdentity(req));
+    
+    const commenterId = getCommenterId(req);
     
     res.json({
       success: true,
-      data: commentsWithReplies,
-      count: comments.length
+      data: topLevel.map((reply) => toPublicComment(reply, commenterId)),
+      count: page.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
     });
     
   } catch (error) {
-    console.error("Error fetching comments:", error);
+    console.error("Error fetching replies:", error);
     res.status(500).json({
       success: false,
       message: error.message,
@@ -400,7 +10353,7 @@ app.get("/blogs/:slug/comments", async (req, res) => {
 });
 
 // POST - Create a new comment or reply
-app.post("/blogs/:slug/comments", async (req, res) => {
+app.post("/blogs/:slug/comments", rateLimit("comment"), followSlugRedirects, validateBody(commentSchemas.create), async (req, res) => {
   try {
     const { database } = await connectToDatabase();
     const commentsCollection = database.collection("comments");
@@ -414,30 +10367,29 @@ app.post("/blogs/:slug/comments", async (req, res) => {
       authorAvatar 
     } = req.body;
     
-    // Validate required fields
-    if (!content || !content.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: "Comment content is required"
-      });
-    }
+    // Comments can only be posted on existing posts
+    const blog = await database.collection("clients_info").findOne(
+      { slug, ...NOT_DELETED },
+      { projection: { _id: 1, title: 1, slug: 1 } }
+    );
     
-    if (!authorName || !authorEmail) {
-      return res.status(400).json({
+    if (!blog) {
+      return res.status(404).json({
         success: false,
-        message: "Author name and email are required"
+        message: "Blog not found"
       });
     }
     
-    // Generate a unique identifier for anonymous users
-    const userIdentifier = req.headers['x-user-id'] || 
-                         `anon_${Math.random().toString(36).substr(2, 9)}`;
+    // Returning commenters keep their id; everyone else gets a new one
+    const userIdentifier = getCommenterId(req) || crypto.randomUUID();
     
     // Check if this is a reply and parent exists
+    let parentComment = null;
     if (parentId) {
-      const parentComment = await commentsCollection.findOne({ 
+      parentComment = await commentsCollection.findOne({ 
         _id: new ObjectId(parentId),
-        blogSlug: slug
+        blogSlug: slug,
+        ...VISIBLE_COMMENT
       });
       
       if (!parentComment) {
@@ -452,21 +10404,26 @@ app.post("/blogs/:slug/comments", async (req, res) => {
     const newComment = {
       blogSlug: slug,
       content: content.trim(),
+      contentHtml: renderCommentContent(content.trim()),
       parentId: parentId,
+      ...threadFields(parentComment), // ancestors, rootId, depth
       author: {
         name: authorName.trim(),
         email: authorEmail.trim(),
         avatar: authorAvatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(authorName.trim())}&background=random`
       },
       likes: 0,
-      likedBy: [],
       isEdited: false,
       isDeleted: false,
+      contentHash: hashContent(content),
       createdAt: new Date(),
       updatedAt: new Date(),
-      userIdentifier: userIdentifier // Track anonymous user
+      userIdentifier: userIdentifier // Only ever sent back inside a signed token
     };
     
+    // Run the moderation rules before anything is published
+    Object.assign(newComment, await moderateComment(database, newComment));
+    
     const result = await commentsCollection.insertOne(newComment);
     
     const createdComment = {
@@ -474,10 +10431,32 @@ app.post("/blogs/:slug/comments", async (req, res) => {
       _id: result.insertedId.toString()
     };
     
+    // Don't tell spammers they were caught
+    const isPublished = newComment.status === "approved";
+    
+    if (isPublished) {
+      emitBlogEvent(slug, "comment.created", realtimeComment(createdComment));
+      await dispatchCommentWebhook(database, "comment.created", createdComment);
+    }
+    
     res.status(201).json({
       success: true,
-      message: parentId ? "Reply posted successfully" : "Comment posted successfully",
-      data: createdComment
+      message: isPublished
+        ? (parentId ? "Reply posted successfully" : "Comment posted successfully")
+        : "Comment submitted and awaiting moderation",
+      data: {
+        ...toPublicComment(createdComment, userIdentifier),
+        status: isPublished ? "approved" : "pending"
+      },
+      // Send this back as x-commenter-token to edit or delete the comment
+      commenterToken: signCommenterToken(userIdentifier)
+    });
+    
+    notifyInBackground(async () => {
+      if (isPublished) {
+        await notifyCommentReply(database, createdComment);
+      }
+      await notifyModerators(database, createdComment, blog);
     });
     
   } catch (error) {
@@ -489,14 +10468,14 @@ app.post("/blogs/:slug/comments", async (req, res) => {
   }
 });
 
-// POST - Like/unlike a comment
-app.post("/blogs/:slug/comments/:commentId/like", async (req, res) => {
+// POST - Like/unlike a comment (alias for reacting with "like")
+app.post("/blogs/:slug/comments/:commentId/like", rateLimit("reaction"), followSlugRedirects, async (req, res) => {
   try {
     const { database } = await connectToDatabase();
     const commentsCollection = database.collection("comments");
     
     const { slug, commentId } = req.params;
-    const { userId } = req.body;
+    const userId = getRequestIdentity(req);
     
     if (!userId) {
       return res.status(400).json({
@@ -509,7 +10488,8 @@ app.post("/blogs/:slug/comments/:commentId/like", async (req, res) => {
     const comment = await commentsCollection.findOne({
       _id: new ObjectId(commentId),
       blogSlug: slug,
-      isDeleted: { $ne: true }
+      isDeleted: { $ne: true },
+      ...APPROVED_COMMENT
     });
     
     if (!comment) {
@@ -519,41 +10499,27 @@ app.post("/blogs/:slug/comments/:commentId/like", async (req, res) => {
       });
     }
     
-    const isLiked = comment.likedBy && comment.likedBy.includes(userId);
-    let updateQuery;
-    
-    if (isLiked) {
-      // Unlike
-      updateQuery = {
-        $inc: { likes: -1 },
-        $pull: { likedBy: userId }
-      };
-    } else {
-      // Like
-      updateQuery = {
-        $inc: { likes: 1 },
-        $push: { likedBy: userId }
-      };
-    }
+    // Toggle: an existing like is removed, anything else becomes a like
+    const userReactions = await findUserReactions(database, "comment", [commentId], userId);
+    const isLiked = userReactions.get(commentId) !== "like";
     
-    // Update the comment
-    await commentsCollection.updateOne(
-      { _id: new ObjectId(commentId) },
-      updateQuery
+    const result = await applyReaction(
+      database,
+      "comment",
+      comment,
+      userId,
+      isLiked ? "like" : null,
+      isLiked ? undefined : "like"
     );
     
-    // Get updated comment
-    const updatedComment = await commentsCollection.findOne({
-      _id: new ObjectId(commentId)
-    });
+    if (result.changed) {
+      emitReactionEvents(slug, "comment", result);
+    }
     
     res.json({
       success: true,
-      message: isLiked ? "Comment unliked" : "Comment liked",
-      data: {
-        likes: updatedComment.likes,
-        likedBy: updatedComment.likedBy || []
-      }
+      message: isLiked ? "Comment liked" : "Comment unliked",
+      data: reactionSummary(result.target, isLiked ? "like" : null)
     });
     
   } catch (error) {
@@ -565,26 +10531,71 @@ app.post("/blogs/:slug/comments/:commentId/like", async (req, res) => {
   }
 });
 
-// PUT - Update a comment
-app.put("/blogs/:slug/comments/:commentId", async (req, res) => {
+// POST - Set or clear the caller's reaction on a comment
+app.post("/blogs/:slug/comments/:commentId/reactions", rateLimit("reaction"), followSlugRedirects, validateBody(reactionSchemas.set), async (req, res) => {
   try {
     const { database } = await connectToDatabase();
     const commentsCollection = database.collection("comments");
     
     const { slug, commentId } = req.params;
-    const { content, userIdentifier } = req.body;
+    const userId = getRequestIdentity(req);
     
-    if (!content || !content.trim()) {
+    if (!userId) {
       return res.status(400).json({
         success: false,
-        message: "Comment content is required"
+        message: "User identifier is required"
       });
     }
     
-    if (!userIdentifier) {
-      return res.status(400).json({
+    const comment = await commentsCollection.findOne({
+      _id: new ObjectId(commentId),
+      blogSlug: slug,
+      isDeleted: { $ne: true },
+      ...APPROVED_COMMENT
+    });
+    
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+    
+    const result = await applyReaction(database, "comment", comment, userId, req.body.type);
+    
+    if (result.changed) {
+      emitReactionEvents(slug, "comment", result);
+    }
+    
+    res.json({
+      success: true,
+      message: result.changed ? "Reaction updated" : "No update needed",
+      data: reactionSummary(result.target, result.current)
+    });
+    
+  } catch (error) {
+    console.error("Error reacting to comment:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// PUT - Update a comment
+app.put("/blogs/:slug/comments/:commentId", rateLimit("commentEdit"), followSlugRedirects, validateBody(commentSchemas.update), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const commentsCollection = database.collection("comments");
+    
+    const { slug, commentId } = req.params;
+    const { content } = req.body;
+    const commenterId = getCommenterId(req);
+    
+    if (!commenterId) {
+      return res.status(401).json({
         success: false,
-        message: "User identifier is required to edit"
+        message: "A valid commenter token is required to edit"
       });
     }
     
@@ -602,20 +10613,35 @@ app.put("/blogs/:slug/comments/:commentId", async (req, res) => {
       });
     }
     
-    // Verify user can edit (check userIdentifier or implement proper auth)
-    if (comment.userIdentifier !== userIdentifier) {
+    // Only the commenter the token was issued to can edit
+    if (comment.userIdentifier !== commenterId) {
       return res.status(403).json({
         success: false,
         message: "You can only edit your own comments"
       });
     }
     
+    // Edits go back through moderation. Rules can hold or flag the comment,
+    // but an edit never approves a comment that wasn't already approved.
+    const editedComment = {
+      ...comment,
+      content: content.trim(),
+      contentHash: hashContent(content)
+    };
+    const { status, moderation } = await moderateComment(database, editedComment);
+    const flagged = moderation.reasons.some(
+      (reason) => reason.verdict === "spam" || reason.verdict === "pending"
+    );
+    
     // Update the comment
     const result = await commentsCollection.updateOne(
       { _id: new ObjectId(commentId) },
       {
         $set: {
-          content: content.trim(),
+          content: editedComment.content,
+          contentHtml: renderCommentContent(editedComment.content),
+          contentHash: editedComment.contentHash,
+          ...(flagged ? { status, moderation } : {}),
           isEdited: true,
           updatedAt: new Date()
         }
@@ -630,14 +10656,26 @@ app.put("/blogs/:slug/comments/:commentId", async (req, res) => {
     }
     
     // Get updated comment
-    const updatedComment = await commentsCollection.findOne({
-      _id: new ObjectId(commentId)
-    });
+    const updatedComment = await commentsCollection.findOne(
+      { _id: new ObjectId(commentId) },
+      { projection: { moderation: 0 } }
+    );
+    
+    // A held comment disappears for readers until it's approved again
+    if (updatedComment.status && updatedComment.status !== "approved") {
+      emitBlogEvent(slug, "comment.deleted", { commentId });
+      await dispatchCommentWebhook(database, "comment.deleted", updatedComment);
+    } else {
+      emitBlogEvent(slug, "comment.edited", realtimeComment(updatedComment));
+      await dispatchCommentWebhook(database, "comment.updated", updatedComment);
+    }
     
     res.json({
       success: true,
-      message: "Comment updated successfully",
-      data: updatedComment
+      message: flagged
+        ? "Comment updated and awaiting moderation"
+        : "Comment updated successfully",
+      data: toPublicComment(updatedComment, commenterId)
     });
     
   } catch (error) {
@@ -650,18 +10688,18 @@ app.put("/blogs/:slug/comments/:commentId", async (req, res) => {
 });
 
 // DELETE - Soft delete a comment
-app.delete("/blogs/:slug/comments/:commentId", async (req, res) => {
+app.delete("/blogs/:slug/comments/:commentId", rateLimit("commentEdit"), followSlugRedirects, async (req, res) => {
   try {
     const { database } = await connectToDatabase();
     const commentsCollection = database.collection("comments");
     
     const { slug, commentId } = req.params;
-    const { userIdentifier } = req.body;
+    const commenterId = getCommenterId(req);
     
-    if (!userIdentifier) {
-      return res.status(400).json({
+    if (!commenterId) {
+      return res.status(401).json({
         success: false,
-        message: "User identifier is required to delete"
+        message: "A valid commenter token is required to delete"
       });
     }
     
@@ -679,8 +10717,8 @@ app.delete("/blogs/:slug/comments/:commentId", async (req, res) => {
       });
     }
     
-    // Verify user can delete (check userIdentifier or implement proper auth)
-    if (comment.userIdentifier !== userIdentifier) {
+    // Only the commenter the token was issued to can delete
+    if (comment.userIdentifier !== commenterId) {
       return res.status(403).json({
         success: false,
         message: "You can only delete your own comments"
@@ -706,6 +10744,9 @@ app.delete("/blogs/:slug/comments/:commentId", async (req, res) => {
       });
     }
     
+    emitBlogEvent(slug, "comment.deleted", { commentId });
+    await dispatchCommentWebhook(database, "comment.deleted", comment);
+    
     res.json({
       success: true,
       message: "Comment deleted successfully"
@@ -721,7 +10762,7 @@ app.delete("/blogs/:slug/comments/:commentId", async (req, res) => {
 });
 
 // GET - Get comment count for a blog
-app.get("/blogs/:slug/comments/count", async (req, res) => {
+app.get("/blogs/:slug/comments/count", followSlugRedirects, async (req, res) => {
   try {
     const { database } = await connectToDatabase();
     const commentsCollection = database.collection("comments");
@@ -731,7 +10772,8 @@ app.get("/blogs/:slug/comments/count", async (req, res) => {
     const count = await commentsCollection.countDocuments({
       blogSlug: slug,
       parentId: null,
-      isDeleted: { $ne: true }
+      isDeleted: { $ne: true },
+      ...APPROVED_COMMENT
     });
     
     res.json({
@@ -748,8 +10790,154 @@ app.get("/blogs/:slug/comments/count", async (req, res) => {
   }
 });
 
+// ======================
+// MODERATION ENDPOINTS
+// ======================
+
+// GET - Moderation queue (?status=pending|approved|rejected|spam|all, blogSlug)
+app.get("/moderation/comments", authenticate, requireRole("admin", "editor"), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const commentsCollection = database.collection("comments");
+
+    const { status = "pending", blogSlug } = req.query;
+
+    if (status !== "all" && !COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use one of: all, ${COMMENT_STATUSES.join(", ")}`,
+      });
+    }
+
+    const filter = { isDeleted: { $ne: true } };
+    if (status === "approved") {
+      Object.assign(filter, APPROVED_COMMENT);
+    } else if (status !== "all") {
+      filter.status = status;
+    }
+    if (blogSlug) {
+      filter.blogSlug = String(blogSlug);
+    }
+
+    const pagination = parsePagination(req.query);
+
+    const [comments, total] = await Promise.all([
+      commentsCollection
+        .find(filter)
+        .sort({ createdAt: 1 }) // Oldest first, like a queue
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .toArray(),
+      commentsCollection.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: comments,
+      count: comments.length,
+      pagination: buildPaginationMeta(req, pagination, total),
+    });
+  } catch (error) {
+    console.error("Error fetching moderation queue:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// POST - Approve, reject or mark comments as spam in bulk
+app.post("/moderation/comments/bulk", authenticate, requireRole("admin", "editor"), validateBody(moderationSchemas.bulk), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const commentsCollection = database.collection("comments");
+
+    const { ids, action } = req.body;
+    const status = { approve: "approved", reject: "rejected", spam: "spam" }[
+      action
+    ];
+
+    // Comments that appear or disappear for readers with this action, for
+    // webhooks and reply notifications
+    const before = await commentsCollection
+      .find({
+        _id: { $in: ids.map((id) => new ObjectId(id)) },
+        isDeleted: { $ne: true },
+      })
+      .toArray();
+    const wasVisible = (comment) => !comment.status || comment.status === "approved";
+    const changed = before.filter((comment) =>
+      status === "approved" ? !wasVisible(comment) : wasVisible(comment)
+    );
+
+    const result = await commentsCollection.updateMany(
+      { _id: { $in: ids.map((id) => new ObjectId(id)) } },
+      {
+        $set: {
+          status,
+          "moderation.moderatedBy": revisionAuthor(req.user),
+          "moderation.moderatedAt": new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    // Approved comments appear for readers, the rest disappear
+    if (realtimeSource === "local") {
+      const moderated = await commentsCollection
+        .find({ _id: { $in: ids.map((id) => new ObjectId(id)) } })
+        .toArray();
+
+      moderated.forEach((comment) => {
+        if (status === "approved" && !comment.isDeleted) {
+          emitBlogEvent(comment.blogSlug, "comment.created", realtimeComment(comment));
+        } else {
+          emitBlogEvent(comment.blogSlug, "comment.deleted", {
+            commentId: comment._id.toString(),
+          });
+        }
+      });
+    }
+
+    for (const comment of changed) {
+      if (status === "approved") {
+        await dispatchCommentWebhook(database, "comment.created", { ...comment, status });
+        await notifyCommentReply(database, comment);
+      } else {
+        await dispatchCommentWebhook(database, "comment.deleted", { ...comment, status });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} comment(s) marked as ${status}`,
+      data: {
+        matched: result.matchedCount,
+        modified: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    console.error("Error moderating comments:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
+// GET - Active moderation rules and settings
+app.get("/moderation/rules", authenticate, requireRole("admin", "editor"), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      rules: MODERATION_RULES.map((rule) => rule.name),
+      settings: MODERATION_CONFIG,
+    },
+  });
+});
+
 // POST - Update blog stats (like/unlike, view)
-app.post("/blogs/:slug/stats", async (req, res) => {
+app.post("/blogs/:slug/stats", rateLimit("stats"), followSlugRedirects, async (req, res) => {
   try {
     const { database } = await connectToDatabase();
     const clientsCollection = database.collection("clients_info");
@@ -765,7 +10953,7 @@ app.post("/blogs/:slug/stats", async (req, res) => {
     }
 
     // Find the blog
-    const blog = await clientsCollection.findOne({ slug });
+    const blog = await clientsCollection.findOne({ slug, ...NOT_DELETED });
 
     if (!blog) {
       return res.status(404).json({
@@ -775,17 +10963,30 @@ app.post("/blogs/:slug/stats", async (req, res) => {
     }
 
     let updateQuery = {};
-    let isLiked = blog.likedBy ? blog.likedBy.includes(userIdentifier) : false;
+    const blogId = blog._id.toString();
+    const userReactions = await findUserReactions(database, "blog", [blogId], userIdentifier);
+    const userReaction = userReactions.get(blogId);
+
+    const visitorHash = hashVisitor(req, userIdentifier);
 
     switch (action) {
       case 'view':
+        // Refreshes inside the dedupe window don't count again
+        if (!(await claimView(database, visitorHash, blog._id.toString()))) {
+          return res.json({
+            success: true,
+            message: "View already counted",
+            data: {
+              ...reactionSummary(blog, userReaction),
+              views: blog.views || 0
+            }
+          });
+        }
+
         // Increment view count
         updateQuery = { 
           $inc: { views: 1 },
-          $set: { 
-            lastViewed: new Date(),
-            likedBy: blog.likedBy || []
-          }
+          $set: { lastViewed: new Date() }
         };
         break;
 
@@ -797,22 +10998,8 @@ app.post("/blogs/:slug/stats", async (req, res) => {
           });
         }
 
-        if (!blog.likedBy) {
-          // Initialize likedBy array
-          updateQuery = { 
-            $inc: { likes: 1 },
-            $set: { likedBy: [userIdentifier] }
-          };
-          isLiked = true;
-        } else if (!blog.likedBy.includes(userIdentifier)) {
-          // Add user to likedBy array
-          updateQuery = { 
-            $inc: { likes: 1 },
-            $push: { likedBy: userIdentifier }
-          };
-          isLiked = true;
-        }
-        break;
+        // Alias for reacting with "like"
+        return sendBlogReaction(req, res, database, blog, userIdentifier, "like");
 
       case 'unlike':
         if (!userIdentifier) {
@@ -822,14 +11009,8 @@ app.post("/blogs/:slug/stats", async (req, res) => {
           });
         }
 
-        if (blog.likedBy && blog.likedBy.includes(userIdentifier)) {
-          updateQuery = { 
-            $inc: { likes: -1 },
-            $pull: { likedBy: userIdentifier }
-          };
-          isLiked = false;
-        }
-        break;
+        // Only clears a like - other reactions are left alone
+        return sendBlogReaction(req, res, database, blog, userIdentifier, null, "like");
 
       default:
         return res.status(400).json({
@@ -838,19 +11019,6 @@ app.post("/blogs/:slug/stats", async (req, res) => {
         });
     }
 
-    // If no update needed (e.g., trying to like twice)
-    if (Object.keys(updateQuery).length === 0) {
-      return res.json({
-        success: true,
-        message: "No update needed",
-        data: {
-          likes: blog.likes || 0,
-          views: blog.views || 0,
-          isLiked: blog.likedBy ? blog.likedBy.includes(userIdentifier) : false
-        }
-      });
-    }
-
     // Update the blog
     const result = await clientsCollection.updateOne(
       { slug },
@@ -860,13 +11028,20 @@ app.post("/blogs/:slug/stats", async (req, res) => {
     // Get updated blog
     const updatedBlog = await clientsCollection.findOne({ slug });
 
+    await recordAnalyticsEvent(database, req, {
+      type: action,
+      blog: updatedBlog,
+      visitorHash
+    });
+
+    emitBlogEvent(slug, "blog.views", { views: updatedBlog.views || 0 });
+
     res.json({
       success: true,
       message: `Blog ${action}d successfully`,
       data: {
-        likes: updatedBlog.likes || 0,
-        views: updatedBlog.views || 0,
-        isLiked: isLiked
+        ...reactionSummary(updatedBlog, userReaction),
+        views: updatedBlog.views || 0
       }
     });
 
@@ -879,6 +11054,70 @@ app.post("/blogs/:slug/stats", async (req, res) => {
   }
 });
 
+// Apply a reaction to a post and send the stats response. Shared by the
+// reactions endpoint and the like/unlike stats actions.
+async function sendBlogReaction(req, res, database, blog, userId, type, onlyType) {
+  const result = await applyReaction(database, "blog", blog, userId, type, onlyType);
+
+  if (result.changed) {
+    await recordReactionAnalytics(database, req, result.target, result);
+    emitReactionEvents(blog.slug, "blog", result);
+  }
+
+  let userReaction = result.current;
+
+  // A no-op "unlike" leaves whatever other reaction the user had
+  if (!result.changed && onlyType) {
+    const blogId = blog._id.toString();
+    const userReactions = await findUserReactions(database, "blog", [blogId], userId);
+    userReaction = userReactions.get(blogId);
+  }
+
+  res.json({
+    success: true,
+    message: result.changed ? "Reaction updated" : "No update needed",
+    data: {
+      ...reactionSummary(result.target, userReaction),
+      views: result.target.views || 0
+    }
+  });
+}
+
+// POST - Set or clear the caller's reaction on a post
+app.post("/blogs/:slug/reactions", rateLimit("reaction"), followSlugRedirects, validateBody(reactionSchemas.set), async (req, res) => {
+  try {
+    const { database } = await connectToDatabase();
+    const clientsCollection = database.collection("clients_info");
+
+    const { slug } = req.params;
+    const userIdentifier = getRequestIdentity(req);
+
+    if (!userIdentifier) {
+      return res.status(400).json({
+        success: false,
+        message: "User identifier is required"
+      });
+    }
+
+    const blog = await clientsCollection.findOne({ slug, ...NOT_DELETED });
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    await sendBlogReaction(req, res, database, blog, userIdentifier, req.body.type);
+  } catch (error) {
+    console.error("Error reacting to blog:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+});
+
 
 // Handle graceful shutdown
 process.on("SIGINT", async () => {
@@ -899,8 +11138,22 @@ process.on("SIGTERM", async () => {
   process.exit(0);
 });
 
-app.listen(port, () => {
-  console.log(`🚀 Server running on port ${port}`);
-  console.log(`📍 Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log(`📍 MongoDB URI: ${uri ? "Set ✅" : "Not set ❌"}`);
-});
+// Tests load the app without starting a server
+if (process.env.NODE_ENV !== "test") {
+  app.listen(port, () => {
+    console.log(`🚀 Server running on port ${port}`);
+    console.log(`📍 Environment: ${process.env.NODE_ENV || "development"}`);
+    console.log(`📍 MongoDB URI: ${uri ? "Set ✅" : "Not set ❌"}`);
+  });
+}
+
+module.exports = app;
+
+// Internals covered by the tests in test/
+module.exports.internals = {
+  IMPORT_PARSERS,
+  importRecords,
+  toPortablePost,
+  renderMarkdownExport,
+  renderWxrExport,
+};
@@ -0,0 +1,167 @@
+process.env.NODE_ENV = "test";
+process.env.MONGODB_URI = "mongodb://127.0.0.1:1/test";
+process.env.JWT_SECRET = "test-secret";
+process.env.IMPORT_MAX_UNPACKED_MB = "1";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const AdmZip = require("adm-zip");
+const matter = require("gray-matter");
+const { ObjectId } = require("mongodb");
+
+const {
+  IMPORT_PARSERS,
+  importRecords,
+  toPortablePost,
+  renderMarkdownExport,
+  renderWxrExport,
+} = require("../index.js").internals;
+
+function markdownZip(files) {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, text]) => zip.addFile(name, Buffer.from(text)));
+  return zip.toBuffer();
+}
+
+test("markdown import refuses JavaScript front-matter", () => {
+  const zip = markdownZip({
+    "posts/evil.md": "---js\n(globalThis.frontMatterRan = true, { title: \"Evil\" })\n---\nBody\n",
+  });
+
+  assert.throws(() => IMPORT_PARSERS.markdown(zip), /JavaScript front-matter/);
+  assert.strictEqual(globalThis.frontMatterRan, undefined);
+});
+
+test("markdown import reads YAML front-matter without caching it", () => {
+  const zip = markdownZip({
+    "posts/hello.md": "---\ntitle: Hello\ntags:\n  - one\n---\nBody\n",
+  });
+
+  const [record] = IMPORT_PARSERS.markdown(zip);
+  assert.strictEqual(record.post.title, "Hello");
+  assert.deepStrictEqual(record.post.tags, ["one"]);
+  assert.strictEqual(record.post.content, "Body");
+  assert.deepStrictEqual(Object.keys(matter.cache), []);
+});
+
+test("markdown import stops at the unpacked size limit", () => {
+  const zip = markdownZip({
+    "posts/big.md": `---\ntitle: Big\n---\n${"a".repeat(2 * 1024 * 1024)}\n`,
+  });
+
+  assert.throws(() => IMPORT_PARSERS.markdown(zip), /too large once unpacked/);
+});
+
+// Just enough of a database for dry-run imports: `docs` maps a collection
+// name to its documents, found by _id, importKey or slug
+function fakeDatabase(docs = {}) {
+  const matches = (doc, filter) => {
+    if (filter.$or) return filter.$or.some((part) => matches(doc, part));
+    return Object.entries(filter).every(([field, value]) =>
+      value instanceof ObjectId ? value.equals(doc[field]) : doc[field] === value
+    );
+  };
+
+  return {
+    collection: (name) => ({
+      findOne: async (filter) =>
+        (docs[name] || []).find((doc) => matches(doc, filter)) || null,
+      find: () => ({ toArray: async () => [] }),
+    }),
+  };
+}
+
+const exportReq = { protocol: "https", get: () => "blog.test" };
+
+const blog = {
+  _id: new ObjectId(),
+  title: "Round trip",
+  slug: "round-trip",
+  excerpt: "A post that leaves and comes back",
+  coverImage: "https://images.test/cover.jpg",
+  date: "2025-01-02",
+  content: "# Hello\n\nSome **bold** text.",
+  contentFormat: "markdown",
+  author: "Jane Doe",
+  tags: ["One", "Two"],
+  category: "News",
+  metaTitle: "Round trip title",
+  metaDescription: "Round trip description",
+  status: "published",
+  publishedAt: new Date("2025-01-02T09:00:00Z"),
+  createdAt: new Date("2025-01-01T09:00:00Z"),
+  updatedAt: new Date("2025-01-03T09:00:00Z"),
+};
+
+const parentComment = {
+  _id: new ObjectId(),
+  blogSlug: blog.slug,
+  parentId: null,
+  content: "First!",
+  author: { name: "Ann", email: "ann@example.com", avatar: "" },
+  status: "approved",
+  createdAt: new Date("2025-01-04T09:00:00Z"),
+};
+const reply = {
+  _id: new ObjectId(),
+  blogSlug: blog.slug,
+  parentId: parentComment._id.toString(),
+  content: "Welcome back",
+  author: { name: "Bob", email: "bob@example.com", avatar: "" },
+  status: "approved",
+  createdAt: new Date("2025-01-05T09:00:00Z"),
+};
+
+const EXPORTS = {
+  json: (posts) => Buffer.from(JSON.stringify(posts)),
+  markdown: (posts) => renderMarkdownExport(posts),
+  wxr: (posts) => Buffer.from(renderWxrExport(exportReq, posts)),
+};
+
+const importer = { _id: new ObjectId(), name: "Admin", role: "admin" };
+
+for (const [format, exportPosts] of Object.entries(EXPORTS)) {
+  test(`${format} export imports back on a dry run`, async () => {
+    const file = exportPosts([toPortablePost(blog, [parentComment, reply])]);
+    const records = IMPORT_PARSERS[format](file);
+
+    assert.strictEqual(records.length, 1);
+    const [record] = records;
+    assert.strictEqual(record.key, blog._id.toString());
+    assert.strictEqual(record.post.title, blog.title);
+    assert.strictEqual(record.post.slug, blog.slug);
+    assert.strictEqual(record.post.coverImage, blog.coverImage);
+    if (format === "wxr") {
+      assert.match(record.post.content, /<strong>bold<\/strong>/);
+    } else {
+      assert.strictEqual(record.post.content, blog.content);
+    }
+    assert.strictEqual(record.post.category, blog.category);
+    assert.deepStrictEqual(record.post.tags, blog.tags);
+    assert.strictEqual(record.post.metaTitle, blog.metaTitle);
+    assert.strictEqual(record.post.status, "published");
+    assert.strictEqual(record.comments.length, 2);
+    const [first, second] = record.comments;
+    assert.strictEqual(second.parentKey, first.key);
+    assert.strictEqual(second.authorEmail, "bob@example.com");
+
+    const fresh = await importRecords(fakeDatabase(), records, {
+      dryRun: true,
+      onConflict: "skip",
+      user: importer,
+    });
+    assert.strictEqual(fresh.created, 1, JSON.stringify(fresh.items));
+    assert.strictEqual(fresh.failed, 0);
+    assert.strictEqual(fresh.withWarnings, 0);
+    assert.deepStrictEqual(fresh.comments, { created: 2, skipped: 0, failed: 0 });
+
+    // Importing into the site it came from finds the original post
+    const again = await importRecords(
+      fakeDatabase({ clients_info: [blog] }),
+      records,
+      { dryRun: true, onConflict: "skip", user: importer }
+    );
+    assert.strictEqual(again.created, 0);
+    assert.strictEqual(again.skipped, 1);
+  });
+}